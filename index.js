@@ -20,9 +20,49 @@ import { SiteGroundManager } from './lib/siteground-manager.js';
 import { TestingManager } from './lib/testing-manager.js';
 import { WPCLIManager } from './lib/wpcli-manager.js';
 import { WPRestManager } from './lib/wprest-manager.js';
+import { SnapshotManager } from './lib/snapshot-manager.js';
+import { BlueprintManager, SUPPORTED_PHP_VERSIONS } from './lib/blueprint-manager.js';
+import { PackageCacheManager } from './lib/package-cache-manager.js';
+import { HealthManager } from './lib/health-manager.js';
+import { registry } from './lib/registry-manager.js';
+import { config } from './lib/config-manager.js';
+
+// Tools that work on a project's running site (so do all wp_cli_* tools);
+// calling one counts as activity for idle auto-stop. Creating, listing
+// and status tools do not.
+const SITE_ACTIVITY_TOOLS = new Set([
+  'wp_switch_project',
+  'wp_start',
+  'wp_restart',
+  'wp_install_theme',
+  'wp_install_plugin',
+  'wp_configure',
+  'wp_db_dump',
+  'wp_db_diff',
+  'wp_db_import',
+  'wp_db_export_for_production',
+  'wp_db_migrate_up',
+  'wp_db_rollback',
+  'wp_db_reset',
+  'wp_db_snapshot_create',
+  'wp_db_snapshot_restore',
+  'wp_test_all_links',
+  'wp_test_seo',
+  'wp_test_comprehensive',
+  'wp_generate_content',
+  'wp_import_json',
+  'wp_generate_seo_pages',
+  'wp_rest_create_content',
+  'wp_rest_upload_media',
+  'wp_rest_manage_taxonomies',
+  'wp_rest_search',
+]);
 
 class WordPressDevServer {
   constructor() {
+    // Resolve and validate configuration before any manager touches disk
+    this.configWarnings = config.validate();
+
     // Initialize managers
     this.dockerManager = new DockerManager();
     this.wordpressManager = new WordPressManager();
@@ -34,6 +74,10 @@ class WordPressDevServer {
     this.testingManager = new TestingManager();
     this.wpcliManager = new WPCLIManager();
     this.wprestManager = new WPRestManager();
+    this.snapshotManager = new SnapshotManager();
+    this.blueprintManager = new BlueprintManager();
+    this.packageCache = new PackageCacheManager();
+    this.healthManager = new HealthManager();
 
     // Initialize MCP server
     this.server = new Server(
@@ -68,27 +112,118 @@ class WordPressDevServer {
               },
               port: {
                 type: 'number',
-                description: 'Local port for WordPress (e.g., 8081)',
+                description: 'Local port for WordPress (e.g., 8081; default: first free port from 8081)',
+              },
+              dbPort: {
+                type: 'number',
+                description: 'Local port for MySQL (default: first free port from port + 1000)',
               },
               gitRemote: {
                 type: 'string',
                 description: 'Optional Git remote URL',
               },
+              blueprint: {
+                type: 'string',
+                description: 'Blueprint name or path to a JSON/YAML blueprint (WordPress/PHP versions, plugins, themes, options, users, pages, menus)',
+              },
+              wordpressVersion: {
+                type: 'string',
+                description: 'WordPress version, e.g. "6.8.1" or "latest" (default: blueprint, else 6.8.1)',
+              },
+              phpVersion: {
+                type: 'string',
+                enum: SUPPORTED_PHP_VERSIONS,
+                description: 'PHP version (default: blueprint, else 8.3)',
+              },
             },
-            required: ['name', 'port'],
+            required: ['name'],
           },
         },
         {
           name: 'wp_list_projects',
-          description: 'List all WordPress projects',
+          description: 'List WordPress projects with status and client metadata, optionally filtered and sorted (text plus JSON)',
           inputSchema: {
             type: 'object',
-            properties: {},
+            properties: {
+              client: {
+                type: 'string',
+                description: 'Only projects whose client contains this text',
+              },
+              tags: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Only projects that have all of these tags',
+              },
+              status: {
+                type: 'string',
+                enum: ['running', 'partial', 'stopped', 'archived', 'error', 'unknown'],
+                description: 'Only projects with this container status',
+              },
+              meta: {
+                type: 'object',
+                description: 'Only projects whose custom metadata has these key/values',
+              },
+              search: {
+                type: 'string',
+                description: 'Free text matched against name, client, notes, tags and metadata values',
+              },
+              sortBy: {
+                type: 'string',
+                enum: ['name', 'client', 'status', 'port', 'created_at', 'last_accessed'],
+                description: 'Sort field (default: last_accessed)',
+              },
+              order: {
+                type: 'string',
+                enum: ['asc', 'desc'],
+                description: 'Sort order (default: desc for dates, asc otherwise)',
+              },
+            },
+          },
+        },
+        {
+          name: 'wp_project_update_meta',
+          description: 'Set a project\'s client name, tags, notes and custom key/values',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              name: {
+                type: 'string',
+                description: 'Project name',
+              },
+              client: {
+                type: 'string',
+                description: 'Client name (empty string clears it)',
+              },
+              tags: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Replace all tags',
+              },
+              addTags: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Tags to add',
+              },
+              removeTags: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Tags to remove',
+              },
+              notes: {
+                type: 'string',
+                description: 'Free-form notes (empty string clears them)',
+              },
+              meta: {
+                type: 'object',
+                description: 'Custom key/values to set; a null value removes the key',
+              },
+            },
+            required: ['name'],
           },
         },
         {
           name: 'wp_switch_project',
-          description: 'Switch to a different project (stop current, start target)',
+          description: 'Switch to a different project (start it and mark it active; other projects keep running unless stopOthers is set)',
           inputSchema: {
             type: 'object',
             properties: {
@@ -96,6 +231,11 @@ class WordPressDevServer {
                 type: 'string',
                 description: 'Project name to switch to',
               },
+              stopOthers: {
+                type: 'boolean',
+                description: 'Stop the previously active project (default: false)',
+                default: false,
+              },
             },
             required: ['name'],
           },
@@ -119,6 +259,338 @@ class WordPressDevServer {
             required: ['name'],
           },
         },
+        {
+          name: 'wp_clone_project',
+          description: 'Duplicate a project (files, database, migration ledger and optionally git history) under a new name and ports, rewriting its site URL',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              source: {
+                type: 'string',
+                description: 'Project to clone',
+              },
+              name: {
+                type: 'string',
+                description: 'Name of the new project (lowercase, no spaces)',
+              },
+              port: {
+                type: 'number',
+                description: 'Local port for WordPress (default: first free port from 8081)',
+              },
+              dbPort: {
+                type: 'number',
+                description: 'Local port for MySQL (default: first free port from port + 1000)',
+              },
+              gitRemote: {
+                type: 'string',
+                description: 'Git remote URL for the new project (the source remotes are never copied)',
+              },
+              includeGitHistory: {
+                type: 'boolean',
+                description: 'Copy the git history instead of starting a new repository (default: true)',
+                default: true,
+              },
+            },
+            required: ['source', 'name'],
+          },
+        },
+        {
+          name: 'wp_project_export',
+          description: 'Export a project (files, uploads, git history, database, registry metadata and SiteGround connection, without credentials) as one .tar.gz archive',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              name: {
+                type: 'string',
+                description: 'Project name',
+              },
+              output: {
+                type: 'string',
+                description: 'Archive path (default: <projects>/exports/<name>-<timestamp>.tar.gz)',
+              },
+            },
+            required: ['name'],
+          },
+        },
+        {
+          name: 'wp_project_import',
+          description: 'Register and start a project from a wp_project_export archive on new ports, rewriting its site URL',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              archive: {
+                type: 'string',
+                description: 'Path to the .tar.gz archive',
+              },
+              name: {
+                type: 'string',
+                description: 'Project name (default: the exported name)',
+              },
+              port: {
+                type: 'number',
+                description: 'Local port for WordPress (default: first free port from 8081)',
+              },
+              dbPort: {
+                type: 'number',
+                description: 'Local port for MySQL (default: first free port from port + 1000)',
+              },
+            },
+            required: ['archive'],
+          },
+        },
+        {
+          name: 'wp_adopt_project',
+          description: 'Bring an existing WordPress site under management: from a local directory plus SQL dump, or pulled from a SiteGround host. Generates Docker files, imports the database with URLs rewritten, initializes git if absent and registers the project',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              name: {
+                type: 'string',
+                description: 'Project name (lowercase, no spaces)',
+              },
+              path: {
+                type: 'string',
+                description: 'Existing WordPress directory to copy (requires sqlFile)',
+              },
+              sqlFile: {
+                type: 'string',
+                description: 'SQL dump (.sql or .sql.gz) of the site database',
+              },
+              siteground: {
+                type: 'object',
+                description: 'Pull files and database from SiteGround instead of path/sqlFile',
+                properties: {
+                  sshHost: { type: 'string', description: 'SSH host' },
+                  sshUser: { type: 'string', description: 'SSH username' },
+                  remotePath: { type: 'string', description: 'Site directory relative to the SSH home (default: public_html)' },
+                  siteUrl: { type: 'string', description: 'Live site URL' },
+                  repoPath: { type: 'string', description: 'SiteGround git repository path; sets up deploy remotes like wp_siteground_connect' },
+                },
+                required: ['sshHost', 'sshUser'],
+              },
+              sourceUrl: {
+                type: 'string',
+                description: 'Site URL to rewrite in the database (default: siteground.siteUrl, else detected from the dump)',
+              },
+              port: {
+                type: 'number',
+                description: 'Local port for WordPress (default: first free port from 8081)',
+              },
+              dbPort: {
+                type: 'number',
+                description: 'Local port for MySQL (default: first free port from port + 1000)',
+              },
+              phpVersion: {
+                type: 'string',
+                enum: SUPPORTED_PHP_VERSIONS,
+                description: 'PHP version (default: 8.3)',
+              },
+              gitRemote: {
+                type: 'string',
+                description: 'Git remote URL when a new repository is initialized',
+              },
+            },
+            required: ['name'],
+          },
+        },
+        {
+          name: 'wp_project_archive',
+          description: 'Archive a project: dump its database, compress the project directory, and remove its containers, volumes, image and files (restore with wp_project_unarchive)',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              name: {
+                type: 'string',
+                description: 'Project name',
+              },
+            },
+            required: ['name'],
+          },
+        },
+        {
+          name: 'wp_project_unarchive',
+          description: 'Restore an archived project: extract its files, start it and reload its database',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              name: {
+                type: 'string',
+                description: 'Project name',
+              },
+            },
+            required: ['name'],
+          },
+        },
+        {
+          name: 'wp_stop_idle_projects',
+          description: 'Stop running projects not accessed for longer than the idle time (runs automatically when idleStopMinutes is configured)',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              idleMinutes: {
+                type: 'number',
+                description: 'Idle time in minutes (default: idleStopMinutes from the config)',
+              },
+              dryRun: {
+                type: 'boolean',
+                description: 'Only report which projects would be stopped (default: false)',
+                default: false,
+              },
+            },
+          },
+        },
+        {
+          name: 'wp_project_health',
+          description: 'Health of one or all projects: container state and uptime, database reachability, WordPress version and pending updates, uploads and database disk usage, git state, last deploy tag and last test result (summary plus JSON)',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              project: {
+                type: 'string',
+                description: 'Project name (default: all projects)',
+              },
+            },
+          },
+        },
+        {
+          name: 'wp_registry_doctor',
+          description: 'Check projects.db against project directories and Docker containers: missing directories, unregistered projects, orphan containers and ledger rows; optionally repair',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              repair: {
+                type: 'boolean',
+                description: 'Update moved paths, remove orphan containers and ledger rows, register unregistered projects (default: false)',
+                default: false,
+              },
+              remove: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Projects whose directory is gone for good; with repair, their registry rows are deleted',
+              },
+            },
+          },
+        },
+        {
+          name: 'wp_blueprint_export',
+          description: 'Save an existing project as a blueprint that wp_create_project can reuse',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              project: {
+                type: 'string',
+                description: 'Project name',
+              },
+              output: {
+                type: 'string',
+                description: 'Output file (default: <projects>/blueprints/<project>.<format>)',
+              },
+              format: {
+                type: 'string',
+                enum: ['json', 'yaml'],
+                description: 'Blueprint format (default: json, or from the output extension)',
+              },
+              includeContent: {
+                type: 'boolean',
+                description: 'Include published pages and menus (default: true)',
+                default: true,
+              },
+            },
+            required: ['project'],
+          },
+        },
+        {
+          name: 'wp_project_ports',
+          description: 'Report app and database ports of all projects, flag conflicts with other projects or host services, and optionally reassign them',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              repair: {
+                type: 'boolean',
+                description: 'Move conflicting projects to free ports (updates compose file, .env and site URL)',
+                default: false,
+              },
+            },
+          },
+        },
+
+        // Configuration
+        {
+          name: 'wp_config_show',
+          description: 'Show the resolved server configuration (projects root, registry DB, SSH key, container naming)',
+          inputSchema: {
+            type: 'object',
+            properties: {},
+          },
+        },
+
+        // Package Cache
+        {
+          name: 'wp_cache_packages_list',
+          description: 'List WordPress core, plugin and theme archives in the local package cache',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              type: {
+                type: 'string',
+                enum: ['core', 'plugin', 'theme'],
+                description: 'Only list this package type',
+              },
+            },
+          },
+        },
+        {
+          name: 'wp_cache_packages_prune',
+          description: 'Remove old versions and unused archives from the package cache',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              keep: {
+                type: 'number',
+                description: 'Newest versions to keep per package (default: 1)',
+                default: 1,
+              },
+              olderThanDays: {
+                type: 'number',
+                description: 'Also remove packages not used for this many days',
+              },
+              type: {
+                type: 'string',
+                enum: ['core', 'plugin', 'theme'],
+                description: 'Only prune this package type',
+              },
+              dryRun: {
+                type: 'boolean',
+                description: 'Report what would be removed without deleting anything',
+                default: false,
+              },
+            },
+          },
+        },
+        {
+          name: 'wp_cache_packages_prefetch',
+          description: 'Download WordPress releases, plugins and themes into the package cache for offline use',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              wordpress: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'WordPress versions, e.g. ["6.8.1", "latest"]',
+              },
+              plugins: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Plugin slugs, optionally with a version: ["woocommerce", "akismet@5.3"]',
+              },
+              themes: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Theme slugs, optionally with a version',
+              },
+            },
+          },
+        },
 
         // Docker Management
         {
@@ -187,6 +659,88 @@ class WordPressDevServer {
             required: ['project'],
           },
         },
+        {
+          name: 'wp_container_stats',
+          description: 'Show state, health, restarts, uptime, ports and CPU/memory/IO usage of a project\'s containers',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              project: {
+                type: 'string',
+                description: 'Project name',
+              },
+            },
+            required: ['project'],
+          },
+        },
+        {
+          name: 'wp_upgrade_stack',
+          description: 'Change the PHP version of an existing project (regenerates the Dockerfile and rebuilds the WordPress container)',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              project: {
+                type: 'string',
+                description: 'Project name',
+              },
+              phpVersion: {
+                type: 'string',
+                enum: SUPPORTED_PHP_VERSIONS,
+                description: 'Target PHP version',
+              },
+            },
+            required: ['project', 'phpVersion'],
+          },
+        },
+        {
+          name: 'wp_enable_https',
+          description: 'Serve a project over HTTPS with a certificate from a local CA (rebuilds the WordPress container and rewrites siteurl/home)',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              project: {
+                type: 'string',
+                description: 'Project name',
+              },
+              enabled: {
+                type: 'boolean',
+                description: 'false turns HTTPS off again (default: true)',
+                default: true,
+              },
+            },
+            required: ['project'],
+          },
+        },
+        {
+          name: 'wp_proxy_start',
+          description: 'Start the shared reverse proxy that serves every running project at http://<project>.localhost',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              port: {
+                type: 'number',
+                description: 'Host port for the proxy (default: 80)',
+                default: 80,
+              },
+            },
+          },
+        },
+        {
+          name: 'wp_proxy_stop',
+          description: 'Stop the shared reverse proxy (projects stay reachable on their own ports)',
+          inputSchema: {
+            type: 'object',
+            properties: {},
+          },
+        },
+        {
+          name: 'wp_proxy_status',
+          description: 'Show whether the reverse proxy is running and which projects it serves',
+          inputSchema: {
+            type: 'object',
+            properties: {},
+          },
+        },
 
         // Database Management
         {
@@ -203,6 +757,20 @@ class WordPressDevServer {
                 type: 'string',
                 description: 'Migration message/description',
               },
+              compress: {
+                type: 'boolean',
+                description: 'Write a gzipped .sql.gz migration (default: false)',
+              },
+              include: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Only these tables: names (prefix optional), patterns like actionscheduler_*, or groups content, users, settings, woocommerce, plugin',
+              },
+              exclude: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Leave out these tables (same forms as include)',
+              },
             },
             required: ['project'],
           },
@@ -217,13 +785,24 @@ class WordPressDevServer {
                 type: 'string',
                 description: 'Project name',
               },
+              mode: {
+                type: 'string',
+                description: 'schema: ALTER TABLE changes; data: row-level INSERT/UPDATE/DELETE for content tables',
+                enum: ['schema', 'data'],
+                default: 'schema',
+              },
+              tables: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Tables to compare in data mode (default: wp_posts, wp_postmeta, wp_options, wp_terms, wp_term_relationships)',
+              },
             },
             required: ['project'],
           },
         },
         {
           name: 'wp_db_import',
-          description: 'Import SQL file to database',
+          description: 'Import SQL file to database, rewriting the source site URL to the local URL',
           inputSchema: {
             type: 'object',
             properties: {
@@ -235,10 +814,119 @@ class WordPressDevServer {
                 type: 'string',
                 description: 'SQL file path (relative to project)',
               },
+              rewriteUrls: {
+                type: 'boolean',
+                description: 'Search-replace the source site URL with http://localhost:<port> after import (default: true)',
+              },
+              sourceUrl: {
+                type: 'string',
+                description: 'Source site URL to replace (default: detected from siteurl/home in the dump)',
+              },
+              include: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Only these tables: names (prefix optional), patterns like actionscheduler_*, or groups content, users, settings, woocommerce, plugin',
+              },
+              exclude: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Leave out these tables (same forms as include)',
+              },
             },
             required: ['project', 'file'],
           },
         },
+        {
+          name: 'wp_db_export_for_production',
+          description: 'Export a production-ready dump to exports/ with URLs rewritten and local-only data removed, plus a manifest of the changes',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              project: {
+                type: 'string',
+                description: 'Project name',
+              },
+              targetUrl: {
+                type: 'string',
+                description: 'Live site URL (default: the SiteGround site URL)',
+              },
+              excludeTransients: {
+                type: 'boolean',
+                description: 'Drop transient options (default: true)',
+              },
+              excludeSessions: {
+                type: 'boolean',
+                description: 'Drop user session tokens and *_sessions table rows (default: true)',
+              },
+              excludeTables: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Tables to leave out entirely: names (prefix optional), patterns like actionscheduler_*, or groups content, users, settings, woocommerce, plugin',
+              },
+              excludeUsers: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'User logins to remove along with their user meta',
+              },
+              stripLocalOptions: {
+                type: 'boolean',
+                description: 'Drop options that only apply locally, such as recovery keys and updater locks (default: true)',
+              },
+            },
+            required: ['project'],
+          },
+        },
+        {
+          name: 'wp_db_migrate_status',
+          description: 'Show applied, pending and modified migrations from the migration ledger',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              project: {
+                type: 'string',
+                description: 'Project name',
+              },
+            },
+            required: ['project'],
+          },
+        },
+        {
+          name: 'wp_db_migrate_up',
+          description: 'Apply pending migrations in order and record them in the ledger',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              project: {
+                type: 'string',
+                description: 'Project name',
+              },
+            },
+            required: ['project'],
+          },
+        },
+        {
+          name: 'wp_db_rollback',
+          description: 'Revert the last applied migrations using their .down.sql scripts (snapshots the database first)',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              project: {
+                type: 'string',
+                description: 'Project name',
+              },
+              steps: {
+                type: 'number',
+                description: 'Number of migrations to revert (default: 1)',
+                default: 1,
+              },
+              to: {
+                type: 'string',
+                description: 'Revert every migration applied after this one (e.g. 003_schema_changes.sql)',
+              },
+            },
+            required: ['project'],
+          },
+        },
         {
           name: 'wp_db_reset',
           description: 'Reset database by applying all migrations from scratch',
@@ -254,6 +942,81 @@ class WordPressDevServer {
           },
         },
 
+        // Database Snapshots
+        {
+          name: 'wp_db_snapshot_create',
+          description: 'Save a named, compressed checkpoint of the database (outside the migration sequence)',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              project: {
+                type: 'string',
+                description: 'Project name',
+              },
+              label: {
+                type: 'string',
+                description: 'Snapshot label (e.g. "before woocommerce install")',
+              },
+            },
+            required: ['project'],
+          },
+        },
+        {
+          name: 'wp_db_snapshot_list',
+          description: 'List database snapshots with size, WordPress version and active plugins',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              project: {
+                type: 'string',
+                description: 'Project name',
+              },
+            },
+            required: ['project'],
+          },
+        },
+        {
+          name: 'wp_db_snapshot_restore',
+          description: 'Restore the database from a snapshot (works while containers are running)',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              project: {
+                type: 'string',
+                description: 'Project name',
+              },
+              snapshot: {
+                type: 'string',
+                description: 'Snapshot ID from wp_db_snapshot_list',
+              },
+              safetySnapshot: {
+                type: 'boolean',
+                description: 'Snapshot the current state before restoring (default: true)',
+                default: true,
+              },
+            },
+            required: ['project', 'snapshot'],
+          },
+        },
+        {
+          name: 'wp_db_snapshot_delete',
+          description: 'Delete a database snapshot',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              project: {
+                type: 'string',
+                description: 'Project name',
+              },
+              snapshot: {
+                type: 'string',
+                description: 'Snapshot ID from wp_db_snapshot_list',
+              },
+            },
+            required: ['project', 'snapshot'],
+          },
+        },
+
         // WordPress Development
         {
           name: 'wp_install_theme',
@@ -566,7 +1329,7 @@ class WordPressDevServer {
         },
         {
           name: 'wp_siteground_deploy',
-          description: 'Deploy project to SiteGround via Git push',
+          description: 'Deploy project code to SiteGround via Git push. The database is not deployed: a production export is written to the git-ignored exports/ for you to import, and the deploy stops if that export fails',
           inputSchema: {
             type: 'object',
             properties: {
@@ -586,7 +1349,7 @@ class WordPressDevServer {
               },
               skipDatabaseDump: {
                 type: 'boolean',
-                description: 'Skip database dump before deployment',
+                description: 'Deploy code only, without the production database export',
                 default: false,
               },
               message: {
@@ -984,20 +1747,119 @@ class WordPressDevServer {
     }));
 
     // Handle tool calls
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
+    this.server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+      // MCP makes arguments optional; tools without required parameters
+      // may be called with none
+      const { name, arguments: args = {} } = request.params;
+      const onProgress = this.createProgressReporter(request, extra);
+
+      const target = args.project ?? args.name;
+      const touchesSite = SITE_ACTIVITY_TOOLS.has(name) || name.startsWith('wp_cli_');
+      if (touchesSite && typeof target === 'string' && this.projectManager.getProject(target)) {
+        this.projectManager.updateLastAccessed(target);
+      }
 
       try {
         switch (name) {
           // Project Management
           case 'wp_create_project':
-            return await this.projectManager.createProject(args.name, args.port, args.gitRemote);
+            return await this.projectManager.createProject(args.name, args.port, args.gitRemote, {
+              blueprint: args.blueprint,
+              wordpressVersion: args.wordpressVersion,
+              phpVersion: args.phpVersion,
+              dbPort: args.dbPort,
+            });
           case 'wp_list_projects':
-            return await this.projectManager.listProjects();
+            return await this.projectManager.listProjects({
+              client: args.client,
+              tags: args.tags,
+              status: args.status,
+              meta: args.meta,
+              search: args.search,
+              sortBy: args.sortBy,
+              order: args.order,
+            });
+          case 'wp_project_update_meta':
+            return await this.projectManager.updateProjectMeta(args.name, {
+              client: args.client,
+              tags: args.tags,
+              addTags: args.addTags,
+              removeTags: args.removeTags,
+              notes: args.notes,
+              meta: args.meta,
+            });
           case 'wp_switch_project':
-            return await this.projectManager.switchProject(args.name);
+            return await this.projectManager.switchProject(args.name, { stopOthers: args.stopOthers });
           case 'wp_delete_project':
             return await this.projectManager.deleteProject(args.name, args.deleteFiles);
+          case 'wp_clone_project':
+            return await this.projectManager.cloneProject(args.source, args.name, {
+              port: args.port,
+              dbPort: args.dbPort,
+              gitRemote: args.gitRemote,
+              includeGitHistory: args.includeGitHistory,
+            });
+          case 'wp_project_export':
+            return await this.projectManager.exportProject(args.name, { output: args.output });
+          case 'wp_project_import':
+            return await this.projectManager.importProject(args.archive, {
+              name: args.name,
+              port: args.port,
+              dbPort: args.dbPort,
+            });
+          case 'wp_adopt_project':
+            return await this.projectManager.adoptProject(args.name, {
+              path: args.path,
+              sqlFile: args.sqlFile,
+              siteground: args.siteground,
+              sourceUrl: args.sourceUrl,
+              port: args.port,
+              dbPort: args.dbPort,
+              phpVersion: args.phpVersion,
+              gitRemote: args.gitRemote,
+            });
+          case 'wp_project_ports':
+            return await this.projectManager.checkPorts({ repair: args.repair });
+          case 'wp_project_archive':
+            return await this.projectManager.archiveProject(args.name);
+          case 'wp_project_unarchive':
+            return await this.projectManager.unarchiveProject(args.name);
+          case 'wp_stop_idle_projects':
+            return await this.projectManager.stopIdleProjects({
+              idleMinutes: args.idleMinutes,
+              dryRun: args.dryRun,
+            });
+          case 'wp_project_health':
+            return await this.healthManager.getHealth(args.project);
+          case 'wp_registry_doctor':
+            return await registry.doctor({ repair: args.repair, remove: args.remove });
+          case 'wp_blueprint_export':
+            return await this.blueprintManager.exportBlueprint(args.project, {
+              output: args.output,
+              format: args.format,
+              includeContent: args.includeContent,
+            });
+
+          // Configuration
+          case 'wp_config_show':
+            return await config.showConfig();
+
+          // Package Cache
+          case 'wp_cache_packages_list':
+            return await this.packageCache.listPackages(args.type);
+          case 'wp_cache_packages_prune':
+            return await this.packageCache.prunePackages({
+              keep: args.keep,
+              olderThanDays: args.olderThanDays,
+              type: args.type,
+              dryRun: args.dryRun,
+            });
+          case 'wp_cache_packages_prefetch':
+            return await this.packageCache.prefetchPackages({
+              wordpress: args.wordpress,
+              plugins: args.plugins,
+              themes: args.themes,
+            });
 
           // Docker Management
           case 'wp_start':
@@ -1008,16 +1870,72 @@ class WordPressDevServer {
             return await this.dockerManager.restartProject(args.project);
           case 'wp_logs':
             return await this.dockerManager.getLogs(args.project, args.service, args.lines);
+          case 'wp_container_stats':
+            return await this.dockerManager.getContainerStats(args.project);
+          case 'wp_upgrade_stack':
+            return await this.projectManager.upgradeStack(args.project, { phpVersion: args.phpVersion });
+          case 'wp_enable_https':
+            return await this.projectManager.setHttps(args.project, { enabled: args.enabled });
+          case 'wp_proxy_start':
+            return await this.dockerManager.startProxy({ port: args.port });
+          case 'wp_proxy_stop':
+            return await this.dockerManager.stopProxy();
+          case 'wp_proxy_status':
+            return await this.dockerManager.getProxyStatus();
 
           // Database Management
           case 'wp_db_dump':
-            return await this.databaseManager.dumpDatabase(args.project, args.message);
+            return await this.databaseManager.dumpDatabase(args.project, args.message, {
+              compress: args.compress,
+              include: args.include,
+              exclude: args.exclude,
+              onProgress,
+            });
           case 'wp_db_diff':
-            return await this.databaseManager.generateDiff(args.project);
+            return await this.databaseManager.generateDiff(args.project, {
+              mode: args.mode,
+              tables: args.tables,
+            });
           case 'wp_db_import':
-            return await this.databaseManager.importDatabase(args.project, args.file);
+            return await this.databaseManager.importDatabase(args.project, args.file, {
+              rewriteUrls: args.rewriteUrls,
+              sourceUrl: args.sourceUrl,
+              include: args.include,
+              exclude: args.exclude,
+              onProgress,
+            });
+          case 'wp_db_export_for_production':
+            return await this.databaseManager.exportProductionDump(args.project, {
+              targetUrl: args.targetUrl,
+              excludeTransients: args.excludeTransients,
+              excludeSessions: args.excludeSessions,
+              excludeTables: args.excludeTables,
+              excludeUsers: args.excludeUsers,
+              stripLocalOptions: args.stripLocalOptions,
+            });
+          case 'wp_db_migrate_status':
+            return await this.databaseManager.getMigrationStatus(args.project);
+          case 'wp_db_migrate_up':
+            return await this.databaseManager.migrateUp(args.project, { onProgress });
+          case 'wp_db_rollback':
+            return await this.databaseManager.rollback(args.project, {
+              steps: args.steps,
+              to: args.to,
+            });
           case 'wp_db_reset':
-            return await this.databaseManager.resetDatabase(args.project);
+            return await this.databaseManager.resetDatabase(args.project, { onProgress });
+
+          // Database Snapshots
+          case 'wp_db_snapshot_create':
+            return await this.snapshotManager.createSnapshot(args.project, args.label);
+          case 'wp_db_snapshot_list':
+            return await this.snapshotManager.listSnapshots(args.project);
+          case 'wp_db_snapshot_restore':
+            return await this.snapshotManager.restoreSnapshot(args.project, args.snapshot, {
+              safetySnapshot: args.safetySnapshot,
+            });
+          case 'wp_db_snapshot_delete':
+            return await this.snapshotManager.deleteSnapshot(args.project, args.snapshot);
 
           // WordPress Development
           case 'wp_install_theme':
@@ -1237,9 +2155,32 @@ class WordPressDevServer {
     });
   }
 
+  /**
+   * Progress callback for long-running tools. Sends MCP progress
+   * notifications when the client asked for them with a progressToken,
+   * otherwise does nothing.
+   */
+  createProgressReporter(request, extra) {
+    const progressToken = request.params._meta?.progressToken;
+    if (progressToken === undefined) {
+      return null;
+    }
+
+    return ({ progress, total, message }) => {
+      extra.sendNotification({
+        method: 'notifications/progress',
+        params: { progressToken, progress, total, message },
+      }).catch(() => {});
+    };
+  }
+
   async run() {
     const transport = new StdioServerTransport();
     await this.server.connect(transport);
+    this.configWarnings.forEach(warning => console.error(`Config warning: ${warning}`));
+    if (this.projectManager.startIdleMonitor()) {
+      console.error(`Idle auto-stop: projects idle for ${config.get('idleStopMinutes')} minutes are stopped`);
+    }
     console.error('WordPress MCP Server running...');
   }
 }
@@ -0,0 +1,414 @@
+/**
+ * Blueprint Manager
+ * Declarative project templates (JSON or YAML): WordPress and PHP
+ * versions, plugins, themes, options, users, starter pages and menus.
+ * Applied by wp_create_project and written from a live project by
+ * wp_blueprint_export.
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { execa } from 'execa';
+import YAML from 'yaml';
+import { config } from './config-manager.js';
+import { PackageCacheManager } from './package-cache-manager.js';
+
+const BUILTIN_BLUEPRINTS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'blueprints');
+const BLUEPRINT_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+export const DEFAULT_WORDPRESS_VERSION = '6.8.1';
+export const DEFAULT_PHP_VERSION = '8.3';
+export const SUPPORTED_PHP_VERSIONS = ['7.4', '8.0', '8.1', '8.2', '8.3', '8.4'];
+
+// Site-wide settings worth carrying between projects
+const EXPORTED_OPTIONS = [
+  'blogname',
+  'blogdescription',
+  'permalink_structure',
+  'timezone_string',
+  'date_format',
+  'time_format',
+  'start_of_week',
+  'posts_per_page',
+  'default_comment_status',
+  'WPLANG',
+];
+
+export class BlueprintManager {
+  constructor() {
+    this.packageCache = new PackageCacheManager();
+  }
+
+  /**
+   * Directories searched for blueprints referenced by name: the projects
+   * root first, then the blueprints shipped with this server
+   */
+  getBlueprintDirs() {
+    return [path.join(config.getProjectsDir(), 'blueprints'), BUILTIN_BLUEPRINTS_DIR];
+  }
+
+  /**
+   * Load a blueprint from a file path or by name and validate it
+   */
+  async load(reference) {
+    const filePath = await this.resolve(reference);
+    const content = await fs.readFile(filePath, 'utf-8');
+
+    let blueprint;
+    try {
+      blueprint = filePath.endsWith('.json') ? JSON.parse(content) : YAML.parse(content);
+    } catch (error) {
+      throw new Error(`Blueprint ${filePath} is not valid ${filePath.endsWith('.json') ? 'JSON' : 'YAML'}: ${error.message}`);
+    }
+
+    return this.normalize(blueprint, filePath);
+  }
+
+  async resolve(reference) {
+    if (await fs.pathExists(reference) && (await fs.stat(reference)).isFile()) {
+      return path.resolve(reference);
+    }
+
+    for (const dir of this.getBlueprintDirs()) {
+      for (const extension of ['', ...BLUEPRINT_EXTENSIONS]) {
+        const candidate = path.join(dir, reference + extension);
+        if (await fs.pathExists(candidate) && (await fs.stat(candidate)).isFile()) {
+          return candidate;
+        }
+      }
+    }
+
+    const available = await this.listBlueprintNames();
+    throw new Error(`Blueprint not found: ${reference}` +
+      (available.length ? ` (available: ${available.join(', ')})` : ''));
+  }
+
+  async listBlueprintNames() {
+    const names = new Set();
+    for (const dir of this.getBlueprintDirs()) {
+      const files = await fs.readdir(dir).catch(() => []);
+      files
+        .filter(f => BLUEPRINT_EXTENSIONS.includes(path.extname(f)))
+        .forEach(f => names.add(path.basename(f, path.extname(f))));
+    }
+    return [...names].sort();
+  }
+
+  /**
+   * Fill in defaults and check the structure, collecting every problem
+   * into one error
+   */
+  normalize(blueprint, source = 'blueprint') {
+    const errors = [];
+    if (!blueprint || typeof blueprint !== 'object' || Array.isArray(blueprint)) {
+      throw new Error(`${source}: a blueprint must be an object`);
+    }
+
+    const asList = (key) => {
+      const value = blueprint[key] ?? [];
+      if (!Array.isArray(value)) {
+        errors.push(`${key} must be a list`);
+        return [];
+      }
+      return value;
+    };
+
+    const extension = (entry, key, defaultActivate) => {
+      const item = typeof entry === 'string' ? { slug: entry } : { ...entry };
+      if (!item.slug) {
+        errors.push(`${key} entries need a slug`);
+      }
+      item.activate = item.activate ?? defaultActivate;
+      return item;
+    };
+
+    const normalized = {
+      name: blueprint.name || path.basename(source, path.extname(source)),
+      description: blueprint.description || '',
+      wordpress: String(blueprint.wordpress || DEFAULT_WORDPRESS_VERSION),
+      php: String(blueprint.php || DEFAULT_PHP_VERSION),
+      site: blueprint.site || {},
+      plugins: asList('plugins').map(p => extension(p, 'plugins', true)),
+      themes: asList('themes').map(t => extension(t, 'themes', false)),
+      options: blueprint.options || {},
+      users: asList('users'),
+      pages: asList('pages'),
+      menus: asList('menus'),
+    };
+
+    if (!/^(latest|\d+\.\d+(\.\d+)?)$/.test(normalized.wordpress)) {
+      errors.push(`wordpress must be a version such as 6.8.1 or "latest", got ${normalized.wordpress}`);
+    }
+    if (!SUPPORTED_PHP_VERSIONS.includes(normalized.php)) {
+      errors.push(`php must be one of ${SUPPORTED_PHP_VERSIONS.join(', ')}, got ${normalized.php}`);
+    }
+    if (typeof normalized.options !== 'object' || Array.isArray(normalized.options)) {
+      errors.push('options must be a map of option name to value');
+    }
+    if (normalized.themes.filter(t => t.activate).length > 1) {
+      errors.push('only one theme can be activated');
+    }
+    normalized.users.forEach((user, i) => {
+      if (!user.login || !user.email) errors.push(`users[${i}] needs login and email`);
+    });
+    normalized.pages.forEach((page, i) => {
+      if (!page.title) errors.push(`pages[${i}] needs a title`);
+    });
+    normalized.menus.forEach((menu, i) => {
+      if (!menu.name) errors.push(`menus[${i}] needs a name`);
+      (menu.items || []).forEach((item, j) => {
+        if (!item.page && !(item.title && item.url)) {
+          errors.push(`menus[${i}].items[${j}] needs a page title, or a title and url`);
+        }
+        if (item.page && !normalized.pages.some(page => page.title === item.page)) {
+          errors.push(`menus[${i}].items[${j}] refers to page "${item.page}" which the blueprint does not create`);
+        }
+      });
+    });
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid blueprint ${source}:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Install WordPress (if needed) and apply everything after the stack is
+   * running. Returns log lines describing what was done.
+   */
+  async apply(projectName, port, blueprint) {
+    const log = [];
+
+    const installed = await this.wp(projectName, ['core', 'is-installed']).then(() => true, () => false);
+    if (!installed) {
+      const admin = {
+        user: blueprint.site.adminUser || 'admin',
+        email: blueprint.site.adminEmail || 'admin@example.com',
+        password: blueprint.site.adminPassword || this.generatePassword(),
+      };
+      await this.wp(projectName, [
+        'core', 'install',
+        `--url=http://localhost:${port}`,
+        `--title=${blueprint.site.title || projectName}`,
+        `--admin_user=${admin.user}`,
+        `--admin_email=${admin.email}`,
+        `--admin_password=${admin.password}`,
+        '--skip-email',
+      ]);
+      log.push(`Installed WordPress (admin: ${admin.user}` +
+        (blueprint.site.adminPassword ? ')' : `, password: ${admin.password})`));
+    }
+
+    // Plugins and themes come from the package cache, so a warm cache
+    // needs no network
+    const projectPath = config.getProjectPath(projectName);
+    for (const [type, extensions] of [['plugin', blueprint.plugins], ['theme', blueprint.themes]]) {
+      for (const extension of extensions) {
+        const entry = await this.packageCache.installPackage(projectPath, type, extension.slug, extension.version);
+        if (extension.activate) {
+          await this.wp(projectName, [type, 'activate', extension.slug]);
+        }
+        log.push(`${type === 'plugin' ? 'Plugin' : 'Theme'} ${extension.slug} ${entry.version}` +
+          `${extension.activate ? ' (active)' : ''}${entry.cached ? ' [cached]' : ''}`);
+      }
+    }
+
+    for (const [name, value] of Object.entries(blueprint.options)) {
+      await this.wp(projectName, typeof value === 'object'
+        ? ['option', 'update', name, JSON.stringify(value), '--format=json']
+        : ['option', 'update', name, String(value)]);
+    }
+    if (Object.keys(blueprint.options).length > 0) {
+      log.push(`Options: ${Object.keys(blueprint.options).join(', ')}`);
+    }
+
+    for (const user of blueprint.users) {
+      const password = user.password || this.generatePassword();
+      await this.wp(projectName, [
+        'user', 'create', user.login, user.email,
+        `--role=${user.role || 'subscriber'}`,
+        `--user_pass=${password}`,
+        ...(user.displayName ? [`--display_name=${user.displayName}`] : []),
+      ]);
+      log.push(`User ${user.login} (${user.role || 'subscriber'}` + (user.password ? ')' : `, password: ${password})`));
+    }
+
+    const pageIds = new Map();
+    for (const page of blueprint.pages) {
+      const { stdout: id } = await this.wp(projectName, [
+        'post', 'create',
+        '--post_type=page',
+        '--post_status=publish',
+        `--post_title=${page.title}`,
+        `--post_content=${page.content || ''}`,
+        ...(page.slug ? [`--post_name=${page.slug}`] : []),
+        '--porcelain',
+      ]);
+      pageIds.set(page.title, id.trim());
+
+      if (page.frontPage) {
+        await this.wp(projectName, ['option', 'update', 'show_on_front', 'page']);
+        await this.wp(projectName, ['option', 'update', 'page_on_front', id.trim()]);
+      }
+      if (page.postsPage) {
+        await this.wp(projectName, ['option', 'update', 'page_for_posts', id.trim()]);
+      }
+      log.push(`Page ${page.title}${page.frontPage ? ' (front page)' : ''}${page.postsPage ? ' (posts page)' : ''}`);
+    }
+
+    for (const menu of blueprint.menus) {
+      const { stdout: menuId } = await this.wp(projectName, ['menu', 'create', menu.name, '--porcelain']);
+      for (const item of menu.items || []) {
+        await this.wp(projectName, item.page
+          ? ['menu', 'item', 'add-post', menuId.trim(), pageIds.get(item.page), ...(item.title ? [`--title=${item.title}`] : [])]
+          : ['menu', 'item', 'add-custom', menuId.trim(), item.title, item.url]);
+      }
+      if (menu.location) {
+        await this.wp(projectName, ['menu', 'location', 'assign', menuId.trim(), menu.location]);
+      }
+      log.push(`Menu ${menu.name} (${(menu.items || []).length} items${menu.location ? `, ${menu.location}` : ''})`);
+    }
+
+    return log;
+  }
+
+  /**
+   * Describe a running project as a blueprint and write it to `output`
+   * (default: <projects>/blueprints/<project>.json, so wp_create_project
+   * can use it by name)
+   */
+  async exportBlueprint(projectName, options = {}) {
+    const { includeContent = true } = options;
+    const projectPath = config.getProjectPath(projectName);
+
+    if (!await fs.pathExists(projectPath)) {
+      throw new Error(`Project ${projectName} does not exist`);
+    }
+
+    let { output = null, format = null } = options;
+    format = format || (output && /\.ya?ml$/.test(output) ? 'yaml' : 'json');
+    if (!['json', 'yaml'].includes(format)) {
+      throw new Error(`Unknown blueprint format: ${format} (expected json or yaml)`);
+    }
+    output = output
+      ? path.resolve(projectPath, output)
+      : path.join(config.getProjectsDir(), 'blueprints', `${projectName}.${format}`);
+
+    try {
+      const blueprint = await this.describeProject(projectName, includeContent);
+      const content = format === 'json' ? JSON.stringify(blueprint, null, 2) + '\n' : YAML.stringify(blueprint);
+
+      await fs.ensureDir(path.dirname(output));
+      await fs.writeFile(output, content);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Blueprint exported to ${output}\n` +
+                  `WordPress ${blueprint.wordpress}, PHP ${blueprint.php}\n` +
+                  `Plugins: ${blueprint.plugins.length}, Themes: ${blueprint.themes.length}, ` +
+                  `Options: ${Object.keys(blueprint.options).length}, Users: ${blueprint.users.length}, ` +
+                  `Pages: ${blueprint.pages.length}, Menus: ${blueprint.menus.length}\n\n` +
+                  `Create a project from it with wp_create_project (blueprint: "${path.basename(output, path.extname(output))}")`,
+          },
+        ],
+      };
+    } catch (error) {
+      throw new Error(`Failed to export blueprint: ${error.message}`);
+    }
+  }
+
+  async describeProject(projectName, includeContent) {
+    const json = async (args) => JSON.parse((await this.wp(projectName, [...args, '--format=json'])).stdout || 'null');
+
+    const wordpress = (await this.wp(projectName, ['core', 'version'])).stdout.trim();
+    const php = (await this.wp(projectName, ['eval', 'echo PHP_MAJOR_VERSION . "." . PHP_MINOR_VERSION;'])).stdout.trim();
+
+    const plugins = (await json(['plugin', 'list']))
+      .filter(p => ['active', 'inactive'].includes(p.status))
+      .map(p => ({ slug: p.name, version: p.version, activate: p.status === 'active' }));
+
+    const themes = (await json(['theme', 'list']))
+      .map(t => ({ slug: t.name, version: t.version, activate: t.status === 'active' }));
+
+    const options = {};
+    for (const name of EXPORTED_OPTIONS) {
+      const value = await json(['option', 'get', name]).catch(() => undefined);
+      if (value !== undefined && value !== '') {
+        options[name] = value;
+      }
+    }
+
+    // Administrators and passwords are environment-specific and stay out
+    const users = (await json(['user', 'list', '--fields=user_login,user_email,display_name,roles']))
+      .filter(u => !u.roles.split(',').includes('administrator'))
+      .map(u => ({ login: u.user_login, email: u.user_email, role: u.roles.split(',')[0], displayName: u.display_name }));
+
+    const pageOnFront = await json(['option', 'get', 'page_on_front']).catch(() => 0);
+    const pageForPosts = await json(['option', 'get', 'page_for_posts']).catch(() => 0);
+    const showOnFront = await json(['option', 'get', 'show_on_front']).catch(() => 'posts');
+
+    const pageList = await json(['post', 'list', '--post_type=page', '--post_status=publish', '--fields=ID,post_title,post_name']);
+    const pageTitles = new Map();
+    const pages = [];
+    for (const page of pageList) {
+      pageTitles.set(String(page.ID), page.post_title);
+      const entry = { title: page.post_title, slug: page.post_name };
+      if (includeContent) {
+        entry.content = (await this.wp(projectName, ['post', 'get', String(page.ID), '--field=post_content'])).stdout;
+      }
+      if (showOnFront === 'page' && String(pageOnFront) === String(page.ID)) entry.frontPage = true;
+      if (String(pageForPosts) === String(page.ID)) entry.postsPage = true;
+      pages.push(entry);
+    }
+
+    const menus = [];
+    for (const menu of await json(['menu', 'list'])) {
+      const items = (await json(['menu', 'item', 'list', String(menu.term_id), '--fields=type,object,object_id,title,link']))
+        .map(item => (item.type === 'post_type' && item.object === 'page' && pageTitles.has(String(item.object_id))
+          ? { page: pageTitles.get(String(item.object_id)), title: item.title }
+          : { title: item.title, url: item.link }));
+      menus.push({
+        name: menu.name,
+        ...(menu.locations?.length ? { location: menu.locations[0] } : {}),
+        items,
+      });
+    }
+
+    return {
+      name: projectName,
+      description: `Exported from ${projectName} on ${new Date().toISOString().split('T')[0]}`,
+      wordpress,
+      php,
+      site: { title: options.blogname },
+      plugins,
+      themes,
+      options,
+      users,
+      pages,
+      menus,
+    };
+  }
+
+  /**
+   * WP-CLI inside the app container; arguments are passed without a shell
+   * so titles and content need no quoting
+   */
+  async wp(projectName, args) {
+    return execa('docker', [
+      'exec',
+      config.getContainerName(projectName, 'app'),
+      'wp',
+      ...args,
+      '--allow-root',
+    ]);
+  }
+
+  generatePassword() {
+    return crypto.randomBytes(12).toString('base64url');
+  }
+}
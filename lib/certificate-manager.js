@@ -0,0 +1,123 @@
+/**
+ * Certificate Manager
+ * A local certificate authority under <projects>/.certs and per-project
+ * server certificates signed by it, for serving project sites over HTTPS.
+ * Trusting the CA once makes every project certificate valid in browsers.
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import crypto from 'crypto';
+import { execa } from 'execa';
+import { config } from './config-manager.js';
+
+const CA_DAYS = 3650;
+// Browsers reject server certificates valid for longer than 825 days
+const CERT_DAYS = 825;
+
+export class CertificateManager {
+  constructor() {
+    this.certsDir = path.join(config.getProjectsDir(), '.certs');
+  }
+
+  getCaPaths() {
+    return {
+      cert: path.join(this.certsDir, 'ca.crt'),
+      key: path.join(this.certsDir, 'ca.key'),
+    };
+  }
+
+  /**
+   * Directory holding a project's cert.pem and key.pem, mounted read-only
+   * into its app container
+   */
+  getProjectCertDir(projectName) {
+    return path.join(this.certsDir, projectName);
+  }
+
+  async ensureCA() {
+    const ca = this.getCaPaths();
+    if (await fs.pathExists(ca.cert) && await fs.pathExists(ca.key)) {
+      return { ...ca, created: false };
+    }
+
+    await fs.ensureDir(this.certsDir);
+    await execa('openssl', [
+      'req', '-x509', '-new', '-nodes',
+      '-newkey', 'rsa:2048',
+      '-keyout', ca.key,
+      '-out', ca.cert,
+      '-days', String(CA_DAYS),
+      '-sha256',
+      '-subj', '/O=wp-cc-mcp/CN=wp-cc-mcp Local Development CA',
+      '-addext', 'basicConstraints=critical,CA:TRUE',
+      '-addext', 'keyUsage=critical,keyCertSign,cRLSign',
+    ]);
+    await fs.chmod(ca.key, 0o600);
+
+    return { ...ca, created: true };
+  }
+
+  /**
+   * Issue a certificate for localhost, 127.0.0.1 and <project>.localhost,
+   * replacing any previous one
+   */
+  async issueCertificate(projectName) {
+    const ca = await this.ensureCA();
+    const certDir = this.getProjectCertDir(projectName);
+    const certPath = path.join(certDir, 'cert.pem');
+    const keyPath = path.join(certDir, 'key.pem');
+    const csrPath = path.join(certDir, 'request.csr');
+    const extPath = path.join(certDir, 'extensions.cnf');
+
+    await fs.ensureDir(certDir);
+
+    try {
+      await execa('openssl', [
+        'req', '-new', '-nodes',
+        '-newkey', 'rsa:2048',
+        '-keyout', keyPath,
+        '-out', csrPath,
+        '-subj', `/O=wp-cc-mcp/CN=${projectName}.localhost`,
+      ]);
+      await fs.writeFile(extPath, [
+        `subjectAltName=DNS:localhost,DNS:${projectName}.localhost,IP:127.0.0.1`,
+        'basicConstraints=CA:FALSE',
+        'keyUsage=critical,digitalSignature,keyEncipherment',
+        'extendedKeyUsage=serverAuth',
+      ].join('\n') + '\n');
+      await execa('openssl', [
+        'x509', '-req',
+        '-in', csrPath,
+        '-CA', ca.cert,
+        '-CAkey', ca.key,
+        '-set_serial', `0x${crypto.randomBytes(16).toString('hex')}`,
+        '-out', certPath,
+        '-days', String(CERT_DAYS),
+        '-sha256',
+        '-extfile', extPath,
+      ]);
+      await fs.chmod(keyPath, 0o600);
+    } finally {
+      await fs.remove(csrPath);
+      await fs.remove(extPath);
+    }
+
+    return { certDir, certPath, keyPath, caCreated: ca.created };
+  }
+
+  async removeCertificate(projectName) {
+    await fs.remove(this.getProjectCertDir(projectName));
+  }
+
+  /**
+   * How to make the local CA trusted on common platforms
+   */
+  getTrustInstructions() {
+    const { cert } = this.getCaPaths();
+    return `Trust the local CA once to avoid browser warnings:\n` +
+           `  macOS:   sudo security add-trusted-cert -d -r trustRoot -k /Library/Keychains/System.keychain "${cert}"\n` +
+           `  Linux:   sudo cp "${cert}" /usr/local/share/ca-certificates/wp-cc-mcp.crt && sudo update-ca-certificates\n` +
+           `  Firefox: Settings → Certificates → Import "${cert}"`;
+  }
+}
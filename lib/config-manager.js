@@ -0,0 +1,238 @@
+/**
+ * Config Manager
+ * Resolves server configuration from a JSON config file plus environment
+ * overrides, so every manager agrees on where projects and the registry live.
+ */
+
+import path from 'path';
+import os from 'os';
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const rootDir = path.dirname(__dirname);
+
+// Environment variables that override values from the config file
+const ENV_OVERRIDES = {
+  projectsDir: 'WP_PROJECTS_DIR',
+  registryDbPath: 'WP_REGISTRY_DB',
+  sshKeyPath: 'SITEGROUND_SSH_KEY',
+  containerPrefix: 'WP_CONTAINER_PREFIX',
+  idleStopMinutes: 'WP_IDLE_STOP_MINUTES',
+};
+
+export class ConfigManager {
+  constructor() {
+    this.configPath = process.env.WP_CC_MCP_CONFIG || path.join(rootDir, 'wp-cc-mcp.config.json');
+    this.config = null;
+    this.sources = {};
+  }
+
+  getDefaults() {
+    return {
+      projectsDir: path.join(os.homedir(), 'projects', 'wp-projects'),
+      registryDbPath: path.join(rootDir, 'projects.db'),
+      sshKeyPath: path.join(os.homedir(), '.ssh', 'siteground_simple'),
+      containerPrefix: 'wp',
+      // Stop running projects not accessed for this long; 0 disables it
+      idleStopMinutes: 0,
+    };
+  }
+
+  /**
+   * Load defaults, then the config file, then environment overrides
+   */
+  load() {
+    const config = this.getDefaults();
+    const sources = Object.fromEntries(Object.keys(config).map(key => [key, 'default']));
+
+    if (fs.existsSync(this.configPath)) {
+      let fileConfig;
+      try {
+        fileConfig = fs.readJsonSync(this.configPath);
+      } catch (error) {
+        throw new Error(`Invalid config file ${this.configPath}: ${error.message}`);
+      }
+
+      for (const [key, value] of Object.entries(fileConfig)) {
+        if (!(key in config)) {
+          throw new Error(`Unknown config key "${key}" in ${this.configPath}`);
+        }
+        config[key] = value;
+        sources[key] = 'file';
+      }
+    }
+
+    for (const [key, envVar] of Object.entries(ENV_OVERRIDES)) {
+      if (process.env[envVar]) {
+        config[key] = process.env[envVar];
+        sources[key] = `env:${envVar}`;
+      }
+    }
+
+    if (typeof config.idleStopMinutes === 'string') {
+      config.idleStopMinutes = Number(config.idleStopMinutes);
+    }
+
+    // Relative paths are resolved against the server directory
+    for (const key of ['projectsDir', 'registryDbPath', 'sshKeyPath']) {
+      config[key] = this.expandPath(config[key]);
+    }
+
+    this.config = config;
+    this.sources = sources;
+    return config;
+  }
+
+  expandPath(value) {
+    if (typeof value !== 'string' || !value) {
+      return value;
+    }
+    if (value === '~' || value.startsWith('~/')) {
+      value = path.join(os.homedir(), value.slice(1));
+    }
+    return path.resolve(rootDir, value);
+  }
+
+  get(key) {
+    if (!this.config) {
+      this.load();
+    }
+    return this.config[key];
+  }
+
+  /**
+   * Validate the resolved configuration; throws on fatal problems and
+   * returns a list of non-fatal warnings
+   */
+  validate() {
+    if (!this.config) {
+      this.load();
+    }
+
+    const errors = [];
+    const warnings = [];
+    const { projectsDir, registryDbPath, sshKeyPath, containerPrefix } = this.config;
+
+    for (const key of ['projectsDir', 'registryDbPath']) {
+      if (typeof this.config[key] !== 'string' || !this.config[key]) {
+        errors.push(`${key} must be a non-empty path`);
+      }
+    }
+
+    if (typeof containerPrefix !== 'string' || !/^[a-z0-9][a-z0-9_.-]*$/.test(containerPrefix)) {
+      errors.push('containerPrefix must start with a lowercase letter or digit and contain only [a-z0-9_.-]');
+    }
+
+    if (!Number.isFinite(this.config.idleStopMinutes) || this.config.idleStopMinutes < 0) {
+      errors.push('idleStopMinutes must be a number of minutes (0 disables idle auto-stop)');
+    }
+
+    if (errors.length === 0) {
+      try {
+        fs.ensureDirSync(projectsDir);
+      } catch (error) {
+        errors.push(`projectsDir ${projectsDir} cannot be created: ${error.message}`);
+      }
+
+      if (!fs.existsSync(path.dirname(registryDbPath))) {
+        errors.push(`Directory for registryDbPath does not exist: ${path.dirname(registryDbPath)}`);
+      }
+    }
+
+    if (sshKeyPath && !fs.existsSync(sshKeyPath)) {
+      warnings.push(`SSH key not found at ${sshKeyPath}; SiteGround deploys will fail until it exists`);
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return warnings;
+  }
+
+  getProjectsDir() {
+    return this.get('projectsDir');
+  }
+
+  getProjectPath(projectName) {
+    return path.join(this.getProjectsDir(), projectName);
+  }
+
+  /**
+   * Downloaded WordPress core, plugin and theme archives shared by all projects
+   */
+  getPackageCacheDir() {
+    return path.join(this.getProjectsDir(), '.package-cache');
+  }
+
+  /**
+   * Compressed projects put away by wp_project_archive
+   */
+  getArchiveDir() {
+    return path.join(this.getProjectsDir(), '.archives');
+  }
+
+  getRegistryDbPath() {
+    return this.get('registryDbPath');
+  }
+
+  getSshKeyPath() {
+    return this.get('sshKeyPath');
+  }
+
+  /**
+   * Docker resource names for a project, e.g. wp-mysite-app / wp-mysite-db
+   */
+  getContainerName(projectName, service) {
+    return `${this.get('containerPrefix')}-${projectName}-${service}`;
+  }
+
+  getNetworkName(projectName) {
+    return `${this.get('containerPrefix')}-${projectName}-network`;
+  }
+
+  getVolumeName(projectName) {
+    return `${this.get('containerPrefix')}-${projectName}-db`;
+  }
+
+  /**
+   * Shared reverse proxy container and the network it reaches projects on
+   */
+  getProxyName() {
+    return `${this.get('containerPrefix')}-proxy`;
+  }
+
+  async showConfig() {
+    const warnings = this.validate();
+
+    let text = `wp-cc-mcp configuration\n`;
+    text += `${'='.repeat(50)}\n`;
+    text += `Config file: ${this.configPath}${fs.existsSync(this.configPath) ? '' : ' (not present)'}\n\n`;
+
+    for (const [key, value] of Object.entries(this.config)) {
+      text += `${key}: ${value} [${this.sources[key]}]\n`;
+    }
+
+    text += `\nPackage cache: ${this.getPackageCacheDir()}\n`;
+    text += `Container names: ${this.getContainerName('<project>', 'app')}, ${this.getContainerName('<project>', 'db')}\n`;
+
+    if (warnings.length > 0) {
+      text += `\n⚠️ Warnings:\n`;
+      warnings.forEach(warning => {
+        text += `  - ${warning}\n`;
+      });
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text,
+        },
+      ],
+    };
+  }
+}
+
+export const config = new ConfigManager();
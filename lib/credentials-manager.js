@@ -0,0 +1,99 @@
+/**
+ * Credentials Manager
+ * Per-project database credentials. Random passwords are generated when a
+ * project is created and stored in the project's git-ignored .env, which
+ * docker compose also reads for the container environment.
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { config } from './config-manager.js';
+
+// What projects created before per-project credentials were set up with
+const LEGACY_CREDENTIALS = {
+  database: 'wordpress',
+  user: 'wordpress',
+  password: 'wordpress',
+  rootPassword: 'root',
+};
+
+const ENV_KEYS = {
+  database: 'DB_NAME',
+  user: 'DB_USER',
+  password: 'DB_PASSWORD',
+  rootPassword: 'DB_ROOT_PASSWORD',
+};
+
+export class CredentialsManager {
+  getEnvPath(projectName) {
+    return path.join(config.getProjectPath(projectName), '.env');
+  }
+
+  /**
+   * Generate credentials for a new project and write them to its .env,
+   * keeping any other variables already there
+   */
+  async createCredentials(projectName, extraEnv = {}) {
+    const credentials = {
+      database: 'wordpress',
+      user: 'wordpress',
+      password: this.generatePassword(),
+      rootPassword: this.generatePassword(),
+    };
+
+    const env = { ...extraEnv };
+    for (const [key, envKey] of Object.entries(ENV_KEYS)) {
+      env[envKey] = credentials[key];
+    }
+    await this.setEnv(projectName, env);
+
+    return credentials;
+  }
+
+  /**
+   * Set variables in a project's .env, keeping the others; null removes
+   * a variable
+   */
+  async setEnv(projectName, values) {
+    const envPath = this.getEnvPath(projectName);
+    const existing = await fs.pathExists(envPath) ? dotenv.parse(await fs.readFile(envPath, 'utf-8')) : {};
+    const env = Object.entries({ ...existing, ...values }).filter(([, value]) => value !== null && value !== undefined);
+
+    await fs.writeFile(envPath, env.map(([key, value]) => `${key}=${value}`).join('\n') + '\n', {
+      mode: 0o600,
+    });
+  }
+
+  /**
+   * Database name, user and passwords for a project. Projects without
+   * credentials in their .env fall back to the old fixed defaults.
+   */
+  async get(projectName) {
+    const envPath = this.getEnvPath(projectName);
+    const env = await fs.pathExists(envPath) ? dotenv.parse(await fs.readFile(envPath, 'utf-8')) : {};
+
+    const credentials = {};
+    for (const [key, envKey] of Object.entries(ENV_KEYS)) {
+      credentials[key] = env[envKey] || LEGACY_CREDENTIALS[key];
+    }
+    return credentials;
+  }
+
+  /**
+   * mysql/mysqldump login arguments, as the application user or as root
+   */
+  loginArgs(credentials, options = {}) {
+    const { root = false } = options;
+    return root
+      ? ['-u', 'root', `-p${credentials.rootPassword}`]
+      : ['-u', credentials.user, `-p${credentials.password}`];
+  }
+
+  generatePassword() {
+    return crypto.randomBytes(24).toString('base64url');
+  }
+}
+
+export const credentials = new CredentialsManager();
@@ -0,0 +1,285 @@
+/**
+ * Data Diff
+ * Row-level comparison of two mysqldump outputs. Rows are keyed by primary
+ * key and compared as the raw SQL literals mysqldump wrote, so values are
+ * re-emitted exactly as dumped without any unescaping round trip.
+ */
+
+import { SchemaDiff } from './schema-diff.js';
+
+export const DEFAULT_DATA_TABLES = [
+  'wp_posts',
+  'wp_postmeta',
+  'wp_options',
+  'wp_terms',
+  'wp_term_relationships',
+];
+
+export class DataDiff {
+  constructor() {
+    this.schemaDiff = new SchemaDiff();
+  }
+
+  /**
+   * Parse rows for the given tables
+   * Returns a Map of table name -> { columns, primaryKey, rows: Map(key -> literals[]) }
+   */
+  parseDump(dump, tables, options = {}) {
+    const parser = this.createParser(tables, options);
+    for (const line of dump.split('\n')) {
+      parser.addLine(line);
+    }
+    return parser.result;
+  }
+
+  /**
+   * parseDump for a dump read line by line (e.g. from readSqlLines), so
+   * only the rows of `tables` are ever held in memory
+   */
+  async parseDumpLines(lines, tables, options = {}) {
+    const parser = this.createParser(tables, options);
+    for await (const line of lines) {
+      parser.addLine(line);
+    }
+    return parser.result;
+  }
+
+  /**
+   * Line-at-a-time parser: collects the CREATE TABLE statement of each
+   * wanted table, then the rows of its INSERT lines
+   */
+  createParser(tables, options = {}) {
+    const { skipTransients = true } = options;
+    const result = new Map();
+    let createStatement = null;
+
+    const addTable = statement => {
+      for (const [name, tableSchema] of this.schemaDiff.parseDump(statement)) {
+        const columns = [...tableSchema.columns.keys()];
+        const primaryIndex = tableSchema.indexes.get('PRIMARY');
+        if (!primaryIndex) {
+          throw new Error(`Table ${name} has no primary key; cannot diff rows`);
+        }
+        const primaryKey = this.extractIndexColumns(primaryIndex);
+
+        result.set(name, { columns, primaryKey, rows: new Map() });
+      }
+    };
+
+    const addLine = line => {
+      if (createStatement) {
+        createStatement.push(line);
+        if (/^\)[^;]*;$/.test(line)) {
+          addTable(createStatement.join('\n'));
+          createStatement = null;
+        }
+        return;
+      }
+
+      const createMatch = line.match(/^CREATE TABLE `([^`]+)` \($/);
+      if (createMatch) {
+        if (tables.includes(createMatch[1])) createStatement = [line];
+        return;
+      }
+
+      const insertMatch = line.match(/^INSERT INTO `([^`]+)`\s*(\(([^)]*)\))?\s*VALUES\s*/);
+      if (!insertMatch || !result.has(insertMatch[1])) return;
+
+      const table = result.get(insertMatch[1]);
+      const columns = insertMatch[3]
+        ? insertMatch[3].split(',').map(c => c.trim().replace(/`/g, ''))
+        : table.columns;
+
+      for (const tuple of this.parseTuples(line, insertMatch[0].length)) {
+        const row = table.columns.map(column => tuple[columns.indexOf(column)] ?? 'NULL');
+        if (skipTransients && this.isTransient(insertMatch[1], table, row)) continue;
+        table.rows.set(this.rowKey(table, row), row);
+      }
+    };
+
+    return { addLine, result };
+  }
+
+  extractIndexColumns(indexDefinition) {
+    const columnList = indexDefinition.slice(indexDefinition.indexOf('(') + 1, indexDefinition.lastIndexOf(')'));
+    return Array.from(columnList.matchAll(/`([^`]+)`/g), m => m[1]);
+  }
+
+  /**
+   * Split the VALUES portion of an INSERT into tuples of raw SQL literals
+   */
+  parseTuples(sql, start) {
+    const tuples = [];
+    let tuple = null;
+    let i = start;
+
+    while (i < sql.length) {
+      const char = sql[i];
+
+      if (tuple === null) {
+        if (char === '(') {
+          tuple = [];
+        } else if (char === ';') {
+          break;
+        }
+        i++;
+        continue;
+      }
+
+      if (char === ')') {
+        tuples.push(tuple);
+        tuple = null;
+        i++;
+        continue;
+      }
+
+      if (char === ',' || char === ' ') {
+        i++;
+        continue;
+      }
+
+      const end = this.literalEnd(sql, i);
+      tuple.push(sql.slice(i, end));
+      i = end;
+    }
+
+    return tuples;
+  }
+
+  /**
+   * Index just past the SQL literal starting at `start`
+   * Handles quoted strings (with backslash and doubled-quote escapes),
+   * charset introducers such as _binary '...', and bare tokens
+   */
+  literalEnd(sql, start) {
+    let i = start;
+
+    if (sql[i] === '_') {
+      while (i < sql.length && sql[i] !== ' ' && sql[i] !== '\'') i++;
+      while (sql[i] === ' ') i++;
+    }
+
+    if (sql[i] === '\'') {
+      i++;
+      while (i < sql.length) {
+        if (sql[i] === '\\') {
+          i += 2;
+        } else if (sql[i] === '\'' && sql[i + 1] === '\'') {
+          i += 2;
+        } else if (sql[i] === '\'') {
+          return i + 1;
+        } else {
+          i++;
+        }
+      }
+      return i;
+    }
+
+    while (i < sql.length && sql[i] !== ',' && sql[i] !== ')') i++;
+    return i;
+  }
+
+  rowKey(table, row) {
+    return table.primaryKey.map(column => row[table.columns.indexOf(column)]).join('\u0000');
+  }
+
+  /**
+   * Transients are caches that churn on every page load, never content
+   */
+  isTransient(tableName, table, row) {
+    if (!tableName.endsWith('options')) return false;
+    const optionName = row[table.columns.indexOf('option_name')] || '';
+    return /^'_(site_)?transient_/.test(optionName);
+  }
+
+  whereClause(table, row) {
+    return table.primaryKey
+      .map(column => `\`${column}\` = ${row[table.columns.indexOf(column)]}`)
+      .join(' AND ');
+  }
+
+  insertStatement(tableName, table, row) {
+    const columns = table.columns.map(c => `\`${c}\``).join(', ');
+    return `INSERT INTO \`${tableName}\` (${columns}) VALUES (${row.join(', ')});`;
+  }
+
+  deleteStatement(tableName, table, row) {
+    return `DELETE FROM \`${tableName}\` WHERE ${this.whereClause(table, row)};`;
+  }
+
+  updateStatement(tableName, table, fromRow, toRow) {
+    const assignments = table.columns
+      .map((column, index) => (fromRow[index] !== toRow[index] ? `\`${column}\` = ${toRow[index]}` : null))
+      .filter(Boolean)
+      .join(', ');
+    return `UPDATE \`${tableName}\` SET ${assignments} WHERE ${this.whereClause(table, fromRow)};`;
+  }
+
+  /**
+   * Compare rows of `tables` between two dumps and return { up, down, summary }
+   */
+  diff(oldDump, newDump, tables = DEFAULT_DATA_TABLES, options = {}) {
+    return this.compare(
+      this.parseDump(oldDump, tables, options),
+      this.parseDump(newDump, tables, options),
+      tables
+    );
+  }
+
+  /**
+   * diff for two already parsed dumps (see parseDump / parseDumpLines)
+   */
+  compare(oldData, newData, tables = DEFAULT_DATA_TABLES) {
+    const up = [];
+    const down = [];
+    const summary = [];
+
+    for (const tableName of tables) {
+      const oldTable = oldData.get(tableName);
+      const newTable = newData.get(tableName);
+
+      if (!newTable) continue;
+      if (!oldTable) {
+        summary.push(`${tableName}: not present in baseline dump, skipped`);
+        continue;
+      }
+      if (oldTable.columns.join() !== newTable.columns.join()) {
+        summary.push(`${tableName}: columns differ from baseline, skipped (run wp_db_diff in schema mode first)`);
+        continue;
+      }
+
+      let inserted = 0;
+      let updated = 0;
+      let deleted = 0;
+
+      for (const [key, oldRow] of oldTable.rows) {
+        const newRow = newTable.rows.get(key);
+        if (!newRow) {
+          up.push(this.deleteStatement(tableName, oldTable, oldRow));
+          down.push(this.insertStatement(tableName, oldTable, oldRow));
+          deleted++;
+        } else if (newRow.some((value, index) => value !== oldRow[index])) {
+          up.push(this.updateStatement(tableName, newTable, oldRow, newRow));
+          down.push(this.updateStatement(tableName, newTable, newRow, oldRow));
+          updated++;
+        }
+      }
+
+      for (const [key, newRow] of newTable.rows) {
+        if (!oldTable.rows.has(key)) {
+          up.push(this.insertStatement(tableName, newTable, newRow));
+          down.push(this.deleteStatement(tableName, newTable, newRow));
+          inserted++;
+        }
+      }
+
+      if (inserted || updated || deleted) {
+        summary.push(`${tableName}: ${inserted} inserted, ${updated} updated, ${deleted} deleted`);
+      }
+    }
+
+    return { up, down: down.reverse(), summary };
+  }
+}
+
+export default DataDiff;
@@ -2,17 +2,86 @@ import { execa } from 'execa';
 import path from 'path';
 import fs from 'fs-extra';
 import crypto from 'crypto';
+import { createGzip } from 'zlib';
+import { pipeline } from 'stream/promises';
+import { config } from './config-manager.js';
+import { registry } from './registry-manager.js';
+import { credentials } from './credentials-manager.js';
+import { SchemaDiff } from './schema-diff.js';
+import { DataDiff, DEFAULT_DATA_TABLES } from './data-diff.js';
+import { SnapshotManager } from './snapshot-manager.js';
+import { WPCLIManager } from './wpcli-manager.js';
+import { DumpFilter } from './dump-filter.js';
+import {
+  createSqlReadStream,
+  readSqlHead,
+  readSqlFile,
+  readSqlLines,
+  computeFileChecksum,
+  createHashTap,
+  createProgressTap,
+  createTableFilter,
+  formatBytes,
+} from './sql-stream.js';
+
+// Snapshots that later wp_db_diff runs compare against
+const SCHEMA_BASELINE = '.schema_baseline.sql';
+const DATA_BASELINE = '.data_baseline.sql';
+// Dumps were logged here, per project, before the registry ledger existed
+const LEGACY_MIGRATION_LOG = 'migration_log.json';
+
+const TRANSIENT_PATTERN = /^_(site_)?transient_/;
+
+// Table groups for include/exclude lists, relative to the table prefix
+const TABLE_GROUPS = {
+  content: ['posts', 'postmeta', 'comments', 'commentmeta', 'terms', 'termmeta', 'term_taxonomy', 'term_relationships', 'links'],
+  users: ['users', 'usermeta'],
+  settings: ['options'],
+  woocommerce: ['woocommerce_*', 'wc_*', 'actionscheduler_*'],
+};
+
+// WordPress core tables, including multisite; anything else with the prefix belongs to a plugin
+const CORE_TABLES = [
+  ...TABLE_GROUPS.content,
+  ...TABLE_GROUPS.users,
+  ...TABLE_GROUPS.settings,
+  'blogs', 'blogmeta', 'site', 'sitemeta', 'signups', 'registration_log', 'blog_versions',
+];
+
+// First line of dumps that cover only some tables, so they are applied as
+// ordinary migrations rather than treated as a full database state
+const PARTIAL_DUMP_MARKER = '-- Partial dump of tables:';
+
+// Options that only make sense on the machine that wrote them
+const LOCAL_ONLY_OPTIONS = [
+  'recovery_keys',
+  'recovery_mode_email_last_sent',
+  'auto_updater.lock',
+  'core_updater.lock',
+];
 
 export class DatabaseManager {
   constructor() {
-    this.projectsDir = '/Users/tyler-lcsw/projects/wp-projects';
+    this.projectsDir = config.getProjectsDir();
+    this.db = registry.db;
+    this.schemaDiff = new SchemaDiff();
+    this.dataDiff = new DataDiff();
+    this.snapshotManager = new SnapshotManager();
+    this.wpcliManager = new WPCLIManager();
+    this.dumpFilter = new DumpFilter();
   }
 
   async getProjectPath(projectName) {
     return path.join(this.projectsDir, projectName);
   }
 
-  async dumpDatabase(projectName, message = '') {
+  /**
+   * Stream mysqldump straight to a numbered migration file, optionally
+   * gzipped, hashing it on the way so nothing is held in memory. With
+   * include/exclude lists only the selected tables are dumped.
+   */
+  async dumpDatabase(projectName, message = '', options = {}) {
+    const { compress = false, include = [], exclude = [], onProgress = null } = options;
     const projectPath = await this.getProjectPath(projectName);
     
     if (!await fs.pathExists(projectPath)) {
@@ -25,29 +94,32 @@ export class DatabaseManager {
     // Generate filename with timestamp
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0];
     const migrationNumber = await this.getNextMigrationNumber(migrationsDir);
-    const filename = `${migrationNumber}_${timestamp}${message ? '_' + message.replace(/\s+/g, '_') : ''}.sql`;
+    const filename = `${migrationNumber}_${timestamp}${message ? '_' + message.replace(/\s+/g, '_') : ''}.sql${compress ? '.gz' : ''}`;
     const filepath = path.join(migrationsDir, filename);
 
     try {
-      // Dump database using docker exec
-      const { stdout } = await execa('docker', [
-        'exec',
-        `wp-${projectName}-db`,
-        'mysqldump',
-        '-u',
-        'wordpress',
-        '-pwordpress',
-        'wordpress',
-      ]);
+      const partial = include.length > 0 || exclude.length > 0;
+      const selection = partial ? await this.resolveTableSelection(projectName, { include, exclude }) : null;
+      const written = await this.writeDump(projectName, filepath, {
+        tables: partial ? selection.tables : null,
+        header: partial ? `${PARTIAL_DUMP_MARKER} ${selection.tables.join(', ')}\n` : null,
+        compress,
+        onProgress,
+      });
+
+      // A full dump supersedes any baselines left by wp_db_diff
+      if (!partial) {
+        await fs.remove(path.join(migrationsDir, SCHEMA_BASELINE));
+        await fs.remove(path.join(migrationsDir, DATA_BASELINE));
+      }
 
-      // Save dump to file
-      await fs.writeFile(filepath, stdout);
+      // Checksum of the file as written, matching what the ledger compares against
+      const { checksum } = written;
 
-      // Calculate checksum
-      const checksum = crypto.createHash('md5').update(stdout).digest('hex');
+      // The dump reflects the live database, so it is already applied here
+      this.recordMigration(projectName, filename, checksum, message || null);
 
-      // Update migration log
-      await this.updateMigrationLog(projectPath, filename, checksum, message);
+      const { size } = await fs.stat(filepath);
 
       return {
         content: [
@@ -55,7 +127,9 @@ export class DatabaseManager {
             type: 'text',
             text: `Database dumped successfully:\n` +
                   `File: ${filename}\n` +
-                  `Size: ${(stdout.length / 1024).toFixed(2)} KB\n` +
+                  (partial ? `Tables: ${selection.tables.join(', ')}\n` : '') +
+                  `Size: ${formatBytes(size)}` +
+                  (compress ? ` (${formatBytes(written.bytes)} uncompressed)` : '') + '\n' +
                   `Checksum: ${checksum}`,
           },
         ],
@@ -65,7 +139,67 @@ export class DatabaseManager {
     }
   }
 
-  async generateDiff(projectName) {
+  /**
+   * Stream mysqldump of the live database (or only `tables`) into
+   * `filepath`, optionally gzipped and preceded by `header`. The file is
+   * removed if the dump fails. Returns the checksum of the file as written
+   * and the number of SQL bytes dumped.
+   */
+  async writeDump(projectName, filepath, options = {}) {
+    const { tables = null, header = null, compress = false, onProgress = null } = options;
+    const db = await credentials.get(projectName);
+
+    const subprocess = execa('docker', [
+      'exec',
+      config.getContainerName(projectName, 'db'),
+      'mysqldump',
+      ...credentials.loginArgs(db),
+      '--single-transaction',
+      db.database,
+      ...(tables || []),
+    ], {
+      // stdout is streamed; stderr is kept so failures say why
+      buffer: { stdout: false },
+    });
+
+    const source = header
+      ? (async function* () {
+        yield Buffer.from(header);
+        yield* subprocess.stdout;
+      })()
+      : subprocess.stdout;
+
+    const progress = createProgressTap(onProgress, { label: 'Dumped' });
+    const hashTap = createHashTap();
+
+    try {
+      await Promise.all([
+        pipeline(
+          source,
+          progress,
+          ...(compress ? [createGzip()] : []),
+          hashTap,
+          fs.createWriteStream(filepath)
+        ),
+        subprocess,
+      ]);
+    } catch (error) {
+      // A failed write leaves mysqldump blocked on a full pipe
+      subprocess.kill();
+      await fs.remove(filepath);
+      throw error;
+    }
+
+    return { checksum: hashTap.digest(), bytes: progress.bytes() };
+  }
+
+  async generateDiff(projectName, options = {}) {
+    const { mode = 'schema', tables = DEFAULT_DATA_TABLES } = options;
+
+    if (!['schema', 'data'].includes(mode)) {
+      throw new Error(`Unknown diff mode: ${mode} (expected schema or data)`);
+    }
+
     const projectPath = await this.getProjectPath(projectName);
     
     if (!await fs.pathExists(projectPath)) {
@@ -86,29 +220,40 @@ export class DatabaseManager {
       };
     }
 
+    if (mode === 'data') {
+      return this.generateDataDiff(projectName, migrationsDir, migrations, tables);
+    }
+
     // Get current database state
+    const db = await credentials.get(projectName);
     const { stdout: currentDump } = await execa('docker', [
       'exec',
-      `wp-${projectName}-db`,
+      config.getContainerName(projectName, 'db'),
       'mysqldump',
-      '-u',
-      'wordpress',
-      '-pwordpress',
-      'wordpress',
+      ...credentials.loginArgs(db),
+      db.database,
       '--no-data',
       '--routines',
       '--triggers',
     ]);
 
-    // Get last migration for comparison
-    const lastMigration = migrations[migrations.length - 1];
-    const lastDumpPath = path.join(migrationsDir, lastMigration);
-    const lastDump = await fs.readFile(lastDumpPath, 'utf-8');
+    // Compare against the schema the migrations currently describe
+    const baseline = await this.getBaseline(migrationsDir, migrations, SCHEMA_BASELINE,
+      dump => this.isFullDump(dump));
+    if (!baseline) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'No full database dump found in migrations. Run wp_db_dump first to create a baseline.',
+          },
+        ],
+      };
+    }
 
-    // Simple diff (in production, you'd use a proper SQL diff tool)
-    const changes = this.findDatabaseChanges(lastDump, currentDump);
+    const changes = this.findDatabaseChanges(baseline.dump, currentDump);
 
-    if (changes.length === 0) {
+    if (changes.up.length === 0) {
       return {
         content: [
           {
@@ -119,25 +264,103 @@ export class DatabaseManager {
       };
     }
 
-    // Generate migration script
+    return this.writeDiffMigration(projectName, migrationsDir, 'schema_changes', baseline, changes,
+      () => fs.writeFile(path.join(migrationsDir, SCHEMA_BASELINE), currentDump));
+  }
+
+  /**
+   * Row-level diff of content tables against the last migration dump,
+   * written as an incremental INSERT/UPDATE/DELETE migration
+   */
+  async generateDataDiff(projectName, migrationsDir, migrations, tables) {
+    for (const table of tables) {
+      if (!/^[A-Za-z0-9_]+$/.test(table)) {
+        throw new Error(`Invalid table name: ${table}`);
+      }
+    }
+
+    // Dumped to a file and parsed line by line, so only the rows of
+    // `tables` are held in memory, never the dump text itself
+    const currentPath = path.join(migrationsDir, `${DATA_BASELINE}.tmp`);
+
+    try {
+      await this.writeDump(projectName, currentPath, { tables });
+
+      const baseline = await this.getDataBaseline(migrationsDir, migrations, tables);
+      if (!baseline) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `No migration dump containing ${tables.join(', ')} found. Run wp_db_dump first to create a baseline.`,
+            },
+          ],
+        };
+      }
+
+      const currentData = await this.dataDiff.parseDumpLines(readSqlLines(currentPath), tables);
+      const changes = this.dataDiff.compare(baseline.data, currentData, tables);
+
+      if (changes.up.length === 0) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `No content changes detected in ${tables.join(', ')} since ${baseline.filename}.` +
+                    (changes.summary.length > 0 ? '\n' + changes.summary.map(line => `  - ${line}`).join('\n') : ''),
+            },
+          ],
+        };
+      }
+
+      return await this.writeDiffMigration(projectName, migrationsDir, 'content_changes', baseline, changes,
+        () => fs.move(currentPath, path.join(migrationsDir, DATA_BASELINE), { overwrite: true }));
+    } finally {
+      await fs.remove(currentPath);
+    }
+  }
+
+  /**
+   * Write an up/down migration pair; `saveBaseline` then records the dump
+   * it was generated from as the baseline for the next diff of the same kind
+   */
+  async writeDiffMigration(projectName, migrationsDir, label, baseline, changes, saveBaseline) {
     const migrationNumber = await this.getNextMigrationNumber(migrationsDir);
-    const filename = `${migrationNumber}_schema_changes.sql`;
-    const filepath = path.join(migrationsDir, filename);
-    
-    await fs.writeFile(filepath, changes.join('\n'));
+    const filename = `${migrationNumber}_${label}.sql`;
+    const downFilename = `${migrationNumber}_${label}.down.sql`;
+    const header = `-- Generated by wp_db_diff on ${new Date().toISOString()}\n` +
+                   `-- Baseline: ${baseline.filename}\n` +
+                   changes.summary.map(line => `--   ${line}`).join('\n') + '\n\n';
+
+    const upScript = header + changes.up.join('\n') + '\n';
+
+    await fs.writeFile(path.join(migrationsDir, filename), upScript);
+    await fs.writeFile(path.join(migrationsDir, downFilename), header + changes.down.join('\n') + '\n');
+    await saveBaseline();
+
+    // Generated from the live database, so already applied locally
+    this.recordMigration(projectName, filename, this.computeChecksum(upScript));
 
     return {
       content: [
         {
           type: 'text',
           text: `Generated migration script: ${filename}\n` +
-                `Changes detected: ${changes.length} statement(s)`,
+                `Rollback script: ${downFilename}\n` +
+                `Changes detected: ${changes.up.length} statement(s)\n` +
+                changes.summary.map(line => `  - ${line}`).join('\n'),
         },
       ],
     };
   }
 
-  async importDatabase(projectName, file) {
+  /**
+   * Import a SQL file. Dumps taken from another environment (such as
+   * production) are detected by their siteurl/home options and rewritten
+   * to this project's local URL afterwards.
+   */
+  async importDatabase(projectName, file, options = {}) {
+    const { rewriteUrls = true, sourceUrl = null, include = [], exclude = [], onProgress = null } = options;
     const projectPath = await this.getProjectPath(projectName);
     
     if (!await fs.pathExists(projectPath)) {
@@ -151,28 +374,54 @@ export class DatabaseManager {
     }
 
     try {
-      // Read SQL file
-      const sqlContent = await fs.readFile(sqlPath, 'utf-8');
+      const partial = include.length > 0 || exclude.length > 0;
+      const selection = partial ? await this.resolveTableSelection(projectName, { include, exclude }) : null;
+      const importedTables = new Set();
+      const skippedTables = new Set();
 
-      // Import to database using docker exec
-      await execa('docker', [
-        'exec',
-        '-i',
-        `wp-${projectName}-db`,
-        'mysql',
-        '-u',
-        'wordpress',
-        '-pwordpress',
-        'wordpress',
-      ], {
-        input: sqlContent,
+      // Site URLs are picked up while the file streams into MySQL
+      const detector = this.createSiteUrlDetector();
+      await this.executeSqlFile(projectName, sqlPath, {
+        onProgress,
+        label: `Imported ${file}:`,
+        onMatch: detector.scan,
+        keepTable: partial ? (table) => {
+          const kept = selection.selects(table);
+          (kept ? importedTables : skippedTables).add(table);
+          return kept;
+        } : null,
       });
 
+      let report = partial
+        ? `\nTables imported: ${[...importedTables].join(', ') || 'none'}` +
+          (skippedTables.size > 0 ? `\nTables skipped: ${[...skippedTables].join(', ')}` : '')
+        : '';
+
+      if (rewriteUrls) {
+        const localUrl = this.getLocalUrl(projectName);
+        const sourceUrls = (sourceUrl ? [sourceUrl.replace(/\/+$/, '')] : [...detector.urls])
+          .filter(url => url !== localUrl);
+
+        if (sourceUrls.length === 0) {
+          report = '\nNo foreign site URL found; URLs left unchanged';
+        } else {
+          let total = 0;
+          for (const url of sourceUrls) {
+            const rewritten = await this.rewriteSiteUrl(projectName, url, localUrl, partial ? [...importedTables] : null);
+            report += `\nRewrote ${url} -> ${localUrl}: ${rewritten} rows`;
+            total += rewritten;
+          }
+          report += `\nTotal rows rewritten: ${total}`;
+
+          await this.wpcliManager.flushCache(projectName);
+        }
+      }
+
       return {
         content: [
           {
             type: 'text',
-            text: `Successfully imported ${file} to ${projectName} database`,
+            text: `Successfully imported ${file} to ${projectName} database` + report,
           },
         ],
       };
@@ -181,13 +430,355 @@ export class DatabaseManager {
     }
   }
 
-  async resetDatabase(projectName) {
+  getLocalUrl(projectName) {
+    const project = this.getProjectRecord(projectName);
+    return project.https_port
+      ? `https://localhost:${project.https_port}`
+      : `http://localhost:${project.port}`;
+  }
+
+  /**
+   * Collects the distinct siteurl/home values inserted into an options
+   * table (any prefix) as a dump streams past, with any trailing slash
+   * removed. `scan(text, overlap)` follows createProgressTap's onMatch: the
+   * table of the INSERT in progress is carried across chunks, since an
+   * extended INSERT can span many of them.
+   */
+  createSiteUrlDetector() {
+    const urls = new Set();
+    let table = null;
+
+    const scan = (text, overlap = 0) => {
+      const inserts = [...text.matchAll(/INSERT INTO `([^`]+)`/g)];
+      for (const match of text.matchAll(/\(\d+,'(?:siteurl|home)','(https?:\/\/[^'\\]+)'/g)) {
+        // Tuples wholly inside the overlap were seen with the previous text
+        if (match.index + match[0].length <= overlap) {
+          continue;
+        }
+        const insert = inserts.findLast(i => i.index < match.index);
+        if ((insert ? insert[1] : table)?.endsWith('options')) {
+          urls.add(match[1].replace(/\/+$/, ''));
+        }
+      }
+      if (inserts.length > 0) {
+        table = inserts[inserts.length - 1][1];
+      }
+    };
+
+    return { urls, scan };
+  }
+
+  /**
+   * Replace one site URL with another in the live database. WP-CLI's
+   * search-replace unserializes PHP values, so serialized string lengths
+   * stay valid. Both schemes of the source URL are replaced; GUIDs are
+   * left alone as WordPress requires. `tables` limits the replacement to
+   * those tables. Returns the number of rows changed.
+   */
+  async rewriteSiteUrl(projectName, fromUrl, toUrl, tables = null) {
+    const schemes = [fromUrl];
+    const alternate = fromUrl.startsWith('https://')
+      ? fromUrl.replace(/^https:/, 'http:')
+      : fromUrl.replace(/^http:/, 'https:');
+    if (alternate !== fromUrl && alternate !== toUrl) {
+      schemes.push(alternate);
+    }
+
+    let rows = 0;
+    for (const search of schemes) {
+      const result = await this.wpcliManager.searchReplace(projectName, search, toUrl, {
+        tables,
+        allTablesWithPrefix: !tables,
+        skipColumns: 'guid',
+        format: 'count',
+      });
+      if (!result.success) {
+        throw new Error(`search-replace ${search} -> ${toUrl} failed: ${result.error}`);
+      }
+      rows += this.parseReplacementCount(result.output);
+    }
+    return rows;
+  }
+
+  /**
+   * Inverse of the import rewrite: export the live database to
+   * `relativePath` (inside the project) with `fromUrl` replaced by
+   * `toUrl`, leaving the local database untouched. Returns the number of
+   * rows rewritten in the exported file.
+   */
+  async exportWithSiteUrl(projectName, relativePath, fromUrl, toUrl, tables = null) {
+    const result = await this.wpcliManager.searchReplace(projectName, fromUrl, toUrl.replace(/\/+$/, ''), {
+      tables,
+      allTablesWithPrefix: !tables,
+      skipColumns: 'guid',
+      export: path.posix.join('/var/www/html', relativePath),
+    });
+    if (!result.success) {
+      throw new Error(`search-replace export failed: ${result.error}`);
+    }
+    return this.parseReplacementCount(result.output);
+  }
+
+  /**
+   * Write a dump suitable for loading on the live site to
+   * exports/<name>.sql, plus <name>.manifest.json describing every change
+   * made on the way. The local database is never modified.
+   */
+  async exportForProduction(projectName, options = {}) {
+    const {
+      targetUrl = null,
+      excludeTransients = true,
+      excludeSessions = true,
+      excludeTables = [],
+      excludeUsers = [],
+      stripLocalOptions = true,
+      name = `production-${new Date().toISOString().replace(/[:.]/g, '-')}`,
+    } = options;
+
+    const project = this.getProjectRecord(projectName);
+    const projectPath = await this.getProjectPath(projectName);
+    const siteUrl = (targetUrl || project.siteground_site_url || '').replace(/\/+$/, '');
+
+    if (!siteUrl) {
+      throw new Error(`No target URL given and ${projectName} has no SiteGround site URL configured`);
+    }
+
+    const exportsDir = path.join(projectPath, 'exports');
+    await fs.ensureDir(exportsDir);
+
+    // Exports contain user data and must never be pushed with the site code
+    const gitignorePath = path.join(exportsDir, '.gitignore');
+    if (!await fs.pathExists(gitignorePath)) {
+      await fs.writeFile(gitignorePath, '*\n');
+    }
+
+    const { tables, excluded, prefix } = await this.resolveTableSelection(projectName, { exclude: excludeTables });
+
+    const tempFile = `exports/.${name}.tmp.sql`;
+    const tempPath = path.join(projectPath, tempFile);
+    const localUrl = this.getLocalUrl(projectName);
+
+    try {
+      const rowsRewritten = await this.exportWithSiteUrl(projectName, tempFile, localUrl, siteUrl, tables);
+      const dump = await fs.readFile(tempPath, 'utf-8');
+
+      const { rules, removedUsers, strippedOptions } = this.getProductionRules(dump, prefix, tables, {
+        excludeTransients,
+        excludeSessions,
+        excludeUsers,
+        stripLocalOptions,
+      });
+      const filtered = this.dumpFilter.filter(dump, rules);
+
+      const dumpFile = `${name}.sql`;
+      await fs.writeFile(path.join(exportsDir, dumpFile), filtered.dump);
+
+      const manifest = {
+        project: projectName,
+        created_at: new Date().toISOString(),
+        file: dumpFile,
+        checksum: this.computeChecksum(filtered.dump),
+        urls: { from: localUrl, to: siteUrl, rows_rewritten: rowsRewritten },
+        tables,
+        excluded_tables: excluded,
+        excluded_users: removedUsers,
+        stripped_options: strippedOptions,
+        transients_excluded: excludeTransients,
+        sessions_excluded: excludeSessions,
+        rows_removed: filtered.removed,
+      };
+      const manifestFile = `${name}.manifest.json`;
+      await fs.writeJson(path.join(exportsDir, manifestFile), manifest, { spaces: 2 });
+
+      return { ...manifest, manifest: manifestFile };
+    } finally {
+      await fs.remove(tempPath);
+    }
+  }
+
+  async exportProductionDump(projectName, options = {}) {
+    try {
+      const manifest = await this.exportForProduction(projectName, options);
+      const removed = Object.entries(manifest.rows_removed)
+        .filter(([, count]) => count > 0)
+        .map(([table, count]) => `  ${table}: ${count}`);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Production dump written to exports/${manifest.file}\n` +
+                  `Manifest: exports/${manifest.manifest}\n\n` +
+                  `URLs: ${manifest.urls.from} -> ${manifest.urls.to} (${manifest.urls.rows_rewritten} rows rewritten)\n` +
+                  `Tables: ${manifest.tables.length} exported` +
+                  (manifest.excluded_tables.length ? `, excluded ${manifest.excluded_tables.join(', ')}` : '') + '\n' +
+                  (manifest.excluded_users.length ? `Users excluded: ${manifest.excluded_users.join(', ')}\n` : '') +
+                  (manifest.stripped_options.length ? `Options stripped: ${manifest.stripped_options.join(', ')}\n` : '') +
+                  (removed.length ? `Rows removed:\n${removed.join('\n')}\n` : 'Rows removed: none\n'),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new Error(`Failed to export for production: ${error.message}`);
+    }
+  }
+
+  /**
+   * Row rules for DumpFilter: transients, session data, excluded users
+   * (with their meta) and local-only options
+   */
+  getProductionRules(dump, prefix, tables, options) {
+    const { excludeTransients, excludeSessions, excludeUsers, stripLocalOptions } = options;
+    const value = literal => this.dumpFilter.literalValue(literal);
+    const rules = {};
+
+    // Resolve user logins to IDs from the users table in the export itself
+    const userIds = new Set();
+    const removedUsers = [];
+    if (excludeUsers.length > 0) {
+      this.dumpFilter.filter(dump, {
+        [`${prefix}users`]: row => {
+          if (excludeUsers.includes(value(row.user_login))) {
+            userIds.add(value(row.ID));
+            removedUsers.push(value(row.user_login));
+          }
+          return false;
+        },
+      });
+      const unknown = excludeUsers.filter(login => !removedUsers.includes(login));
+      if (unknown.length > 0) {
+        throw new Error(`Users not found: ${unknown.join(', ')}`);
+      }
+      rules[`${prefix}users`] = row => userIds.has(value(row.ID));
+    }
+
+    const strippedOptions = [];
+    rules[`${prefix}options`] = row => {
+      const optionName = value(row.option_name);
+      if (excludeTransients && TRANSIENT_PATTERN.test(optionName)) {
+        return true;
+      }
+      if (stripLocalOptions && LOCAL_ONLY_OPTIONS.includes(optionName)) {
+        strippedOptions.push(optionName);
+        return true;
+      }
+      return false;
+    };
+
+    if (excludeTransients) {
+      rules[`${prefix}sitemeta`] = row => TRANSIENT_PATTERN.test(value(row.meta_key));
+    }
+
+    if (excludeSessions || userIds.size > 0) {
+      rules[`${prefix}usermeta`] = row =>
+        userIds.has(value(row.user_id)) || (excludeSessions && value(row.meta_key) === 'session_tokens');
+    }
+
+    if (excludeSessions) {
+      for (const table of tables.filter(t => t.startsWith(prefix) && t.endsWith('_sessions'))) {
+        rules[table] = () => true;
+      }
+    }
+
+    return { rules, removedUsers, strippedOptions };
+  }
+
+  /**
+   * Tables in the live database, read from a schema-only dump
+   */
+  async getLiveTables(projectName) {
+    const db = await credentials.get(projectName);
+    const { stdout } = await execa('docker', [
+      'exec',
+      config.getContainerName(projectName, 'db'),
+      'mysqldump',
+      ...credentials.loginArgs(db),
+      '--no-data',
+      '--skip-comments',
+      db.database,
+    ]);
+    return this.extractTables(stdout);
+  }
+
+  /**
+   * The prefix shared by the options and users tables (wp_ by default)
+   */
+  detectTablePrefix(tables) {
+    const optionsTable = tables.find(t => t.endsWith('options') && tables.includes(t.replace(/options$/, 'users')));
+    return optionsTable ? optionsTable.replace(/options$/, '') : 'wp_';
+  }
+
+  /**
+   * Resolve include/exclude lists against the live schema. Entries may be
+   * table names (with or without the prefix), `*` patterns such as
+   * `actionscheduler_*`, or a group: content, users, settings,
+   * woocommerce, or plugin (every non-core table). Plain table names must
+   * exist. Returns the selected live tables, the live tables left out,
+   * the detected prefix and a `selects(table)` predicate for tables that
+   * only exist in a dump file.
+   */
+  async resolveTableSelection(projectName, selection = {}) {
+    const { include = [], exclude = [] } = selection;
+    const liveTables = await this.getLiveTables(projectName);
+    const prefix = this.detectTablePrefix(liveTables);
+
+    const matcher = (entry) => {
+      if (entry === 'plugin') {
+        return table => table.startsWith(prefix) && !CORE_TABLES.includes(table.slice(prefix.length));
+      }
+      if (TABLE_GROUPS[entry]) {
+        return table => TABLE_GROUPS[entry].some(pattern => this.matchesTable(table, `${prefix}${pattern}`));
+      }
+      if (!entry.includes('*') && !liveTables.includes(entry) && !liveTables.includes(`${prefix}${entry}`)) {
+        throw new Error(
+          `Table ${entry} does not exist in the ${projectName} database ` +
+          `(groups: ${[...Object.keys(TABLE_GROUPS), 'plugin'].join(', ')})`
+        );
+      }
+      return table => this.matchesTable(table, entry) || this.matchesTable(table, `${prefix}${entry}`);
+    };
+
+    const includes = include.map(matcher);
+    const excludes = exclude.map(matcher);
+    const selects = table =>
+      (includes.length === 0 || includes.some(matches => matches(table))) &&
+      !excludes.some(matches => matches(table));
+
+    const tables = liveTables.filter(selects);
+    if (tables.length === 0) {
+      throw new Error('The include/exclude lists leave no tables selected');
+    }
+
+    return {
+      tables,
+      excluded: liveTables.filter(t => !selects(t)),
+      prefix,
+      selects,
+    };
+  }
+
+  matchesTable(table, pattern) {
+    if (!pattern.includes('*')) {
+      return table === pattern;
+    }
+    const regex = new RegExp('^' + pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+    return regex.test(table);
+  }
+
+  parseReplacementCount(output) {
+    const match = output.match(/Made (\d+) replacements?/) || output.match(/^(\d+)$/m);
+    return match ? parseInt(match[1]) : 0;
+  }
+
+  async resetDatabase(projectName, options = {}) {
+    const { onProgress = null } = options;
     const projectPath = await this.getProjectPath(projectName);
     
     if (!await fs.pathExists(projectPath)) {
       throw new Error(`Project ${projectName} does not exist`);
     }
 
+    const project = this.getProjectRecord(projectName);
     const migrationsDir = path.join(projectPath, 'migrations');
     const migrations = await this.getMigrations(migrationsDir);
     
@@ -204,41 +795,26 @@ export class DatabaseManager {
 
     try {
       // Drop and recreate database
+      const db = await credentials.get(projectName);
       await execa('docker', [
         'exec',
-        `wp-${projectName}-db`,
+        config.getContainerName(projectName, 'db'),
         'mysql',
-        '-u',
-        'root',
-        '-proot',
+        ...credentials.loginArgs(db, { root: true }),
         '-e',
-        'DROP DATABASE IF EXISTS wordpress; CREATE DATABASE wordpress;',
+        `DROP DATABASE IF EXISTS \`${db.database}\`; CREATE DATABASE \`${db.database}\`;`,
       ]);
 
-      // Apply migrations in order
-      for (const migration of migrations) {
-        const sqlPath = path.join(migrationsDir, migration);
-        const sqlContent = await fs.readFile(sqlPath, 'utf-8');
-        
-        await execa('docker', [
-          'exec',
-          '-i',
-          `wp-${projectName}-db`,
-          'mysql',
-          '-u',
-          'wordpress',
-          '-pwordpress',
-          'wordpress',
-        ], {
-          input: sqlContent,
-        });
-      }
+      // Nothing is applied to an empty database
+      this.db.prepare('DELETE FROM migrations WHERE project_id = ?').run(project.id);
+
+      const result = await this.applyPendingMigrations(projectName, onProgress);
 
       return {
         content: [
           {
             type: 'text',
-            text: `Database reset successfully. Applied ${migrations.length} migration(s).`,
+            text: `Database reset successfully.\n${this.formatApplyResult(result)}`,
           },
         ],
       };
@@ -247,6 +823,380 @@ export class DatabaseManager {
     }
   }
 
+  async getMigrationStatus(projectName) {
+    const projectPath = await this.getProjectPath(projectName);
+
+    if (!await fs.pathExists(projectPath)) {
+      throw new Error(`Project ${projectName} does not exist`);
+    }
+
+    const { entries, missing } = await this.getMigrationState(projectName);
+    const icons = { applied: '✅', pending: '⏳', modified: '❌' };
+
+    let statusText = `Migration status for ${projectName}:\n`;
+    if (entries.length === 0) {
+      statusText += 'No migrations found\n';
+    }
+
+    entries.forEach(entry => {
+      statusText += `${icons[entry.status]} ${entry.filename} - ${entry.status}`;
+      if (entry.status === 'applied') {
+        statusText += ` (${entry.appliedAt})`;
+        if (entry.message) {
+          statusText += ` "${entry.message}"`;
+        }
+      } else if (entry.status === 'modified') {
+        statusText += ` (checksum ${entry.appliedChecksum} -> ${entry.checksum})`;
+      }
+      statusText += entry.fullDump ? ' [full dump]\n' : '\n';
+    });
+
+    if (missing.length > 0) {
+      statusText += `\n⚠️ Applied migrations missing from migrations/:\n`;
+      missing.forEach(row => {
+        statusText += `  - ${row.filename} (applied ${row.applied_at})\n`;
+      });
+    }
+
+    const pending = entries.filter(e => e.status === 'pending').length;
+    const modified = entries.filter(e => e.status === 'modified').length;
+    statusText += `\nApplied: ${entries.length - pending - modified}, Pending: ${pending}, Modified: ${modified}`;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: statusText,
+        },
+      ],
+    };
+  }
+
+  async migrateUp(projectName, options = {}) {
+    const { onProgress = null } = options;
+    const projectPath = await this.getProjectPath(projectName);
+
+    if (!await fs.pathExists(projectPath)) {
+      throw new Error(`Project ${projectName} does not exist`);
+    }
+
+    try {
+      const result = await this.applyPendingMigrations(projectName, onProgress);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: this.formatApplyResult(result),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new Error(`Migration failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revert the most recently applied migrations using their paired
+   * `.down.sql` scripts. Either `steps` migrations are reverted, or every
+   * migration applied after `to` (which itself stays applied).
+   */
+  async rollback(projectName, options = {}) {
+    const { steps = 1, to = null } = options;
+    const projectPath = await this.getProjectPath(projectName);
+
+    if (!await fs.pathExists(projectPath)) {
+      throw new Error(`Project ${projectName} does not exist`);
+    }
+
+    const { project, migrationsDir, entries } = await this.getMigrationState(projectName);
+    const entryByName = new Map(entries.map(entry => [entry.filename, entry]));
+
+    // Most recently applied first, according to the ledger
+    const applied = this.db.prepare('SELECT * FROM migrations WHERE project_id = ? ORDER BY id DESC')
+      .all(project.id)
+      .filter(row => entryByName.has(row.filename));
+
+    let toRevert;
+    if (to) {
+      const targetIndex = applied.findIndex(row => row.filename === to);
+      if (targetIndex === -1) {
+        throw new Error(`Migration ${to} is not applied`);
+      }
+      toRevert = applied.slice(0, targetIndex);
+    } else {
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('steps must be a positive integer');
+      }
+      toRevert = applied.slice(0, steps);
+    }
+
+    if (toRevert.length === 0) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Nothing to roll back.',
+          },
+        ],
+      };
+    }
+
+    // Validate everything up front so a rollback never stops half way on a missing script
+    for (const row of toRevert) {
+      const entry = entryByName.get(row.filename);
+      if (entry.status === 'modified') {
+        throw new Error(`${row.filename} changed after being applied; its down script may no longer match`);
+      }
+      if (entry.fullDump) {
+        throw new Error(`${row.filename} is a full dump and cannot be rolled back; restore a snapshot instead`);
+      }
+      if (!await fs.pathExists(path.join(migrationsDir, this.getDownFilename(row.filename)))) {
+        throw new Error(`${row.filename} has no down script (${this.getDownFilename(row.filename)})`);
+      }
+    }
+
+    const snapshot = await this.snapshotManager.takeSnapshot(projectName, 'pre-rollback');
+    const reverted = [];
+
+    for (const row of toRevert) {
+      try {
+        await this.executeSqlFile(projectName, path.join(migrationsDir, this.getDownFilename(row.filename)));
+      } catch (error) {
+        throw new Error(
+          `Rolling back ${row.filename} failed after reverting ${reverted.length} migration(s): ${error.message}\n` +
+          `Restore the pre-rollback state with wp_db_snapshot_restore("${projectName}", "${snapshot.id}")`
+        );
+      }
+      this.db.prepare('DELETE FROM migrations WHERE id = ?').run(row.id);
+      reverted.push(row.filename);
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Rolled back ${reverted.length} migration(s):\n` +
+                reverted.map(filename => `  ↩️ ${filename}`).join('\n') + '\n' +
+                `Snapshot taken before the rollback: ${snapshot.id}`,
+        },
+      ],
+    };
+  }
+
+  getDownFilename(filename) {
+    return filename.replace(/\.sql(\.gz)?$/, '.down.sql');
+  }
+
+  /**
+   * Apply every pending migration in order, recording each in the ledger.
+   * Pending migrations that precede a full dump, applied or pending, are
+   * recorded without being executed, since the dump replaces what they did.
+   * Refuses to run if an applied migration has been edited since.
+   */
+  async applyPendingMigrations(projectName, onProgress = null) {
+    const { migrationsDir, entries } = await this.getMigrationState(projectName);
+
+    const modified = entries.filter(e => e.status === 'modified');
+    if (modified.length > 0) {
+      throw new Error(
+        `Refusing to migrate: ${modified.map(e => e.filename).join(', ')} changed after being applied. ` +
+        'Restore the original file(s) or create a new migration instead.'
+      );
+    }
+
+    // Files older than the newest applied full dump were replaced by it
+    const appliedDumpIndex = entries.findLastIndex(e => e.fullDump && e.status === 'applied');
+    const outdated = entries.slice(0, Math.max(appliedDumpIndex, 0)).filter(e => e.status === 'pending');
+    const pending = entries.slice(appliedDumpIndex + 1).filter(e => e.status === 'pending');
+    const lastDumpIndex = pending.map(e => e.fullDump).lastIndexOf(true);
+    const superseded = [...outdated, ...(lastDumpIndex > 0 ? pending.slice(0, lastDumpIndex) : [])];
+    const toApply = pending.slice(Math.max(lastDumpIndex, 0));
+    const applied = [];
+    let bytesApplied = 0;
+
+    // Progress must keep increasing across files, so it counts bytes of all migrations
+    const reportProgress = onProgress && (update => onProgress({
+      ...update,
+      progress: bytesApplied + update.progress,
+      total: undefined,
+    }));
+
+    for (const entry of superseded) {
+      this.recordMigration(projectName, entry.filename, entry.checksum);
+    }
+
+    for (const entry of toApply) {
+      try {
+        bytesApplied += await this.executeSqlFile(projectName, path.join(migrationsDir, entry.filename), {
+          onProgress: reportProgress,
+          label: `Applying ${entry.filename}:`,
+        });
+      } catch (error) {
+        throw new Error(`${entry.filename} failed after applying ${applied.length} migration(s): ${error.message}`);
+      }
+      this.recordMigration(projectName, entry.filename, entry.checksum);
+      applied.push(entry.filename);
+    }
+
+    return { applied, superseded: superseded.map(e => e.filename) };
+  }
+
+  formatApplyResult({ applied, superseded }) {
+    if (applied.length === 0 && superseded.length === 0) {
+      return 'Database is up to date. No pending migrations.';
+    }
+
+    let text = `Applied ${applied.length} migration(s):\n`;
+    applied.forEach(filename => {
+      text += `  ✅ ${filename}\n`;
+    });
+
+    if (superseded.length > 0) {
+      text += `Marked ${superseded.length} migration(s) as applied (superseded by a later full dump):\n`;
+      superseded.forEach(filename => {
+        text += `  ⏭️ ${filename}\n`;
+      });
+    }
+
+    return text;
+  }
+
+  /**
+   * Compare migration files on disk with the ledger in projects.db
+   */
+  async getMigrationState(projectName) {
+    const project = this.getProjectRecord(projectName);
+    const migrationsDir = path.join(await this.getProjectPath(projectName), 'migrations');
+    const migrations = await this.getMigrations(migrationsDir);
+
+    let rows = this.db.prepare('SELECT * FROM migrations WHERE project_id = ? ORDER BY id').all(project.id);
+    if (rows.length === 0 && migrations.length > 0) {
+      await this.seedLedgerFromLog(project, migrationsDir, migrations);
+      rows = this.db.prepare('SELECT * FROM migrations WHERE project_id = ? ORDER BY id').all(project.id);
+    }
+
+    const ledger = new Map();
+    rows.forEach(row => ledger.set(row.filename, row));
+
+    const entries = [];
+    for (const filename of migrations) {
+      const filePath = path.join(migrationsDir, filename);
+      const checksum = await computeFileChecksum(filePath);
+      const row = ledger.get(filename);
+
+      let status = 'pending';
+      if (row) {
+        status = row.checksum && row.checksum !== checksum ? 'modified' : 'applied';
+      }
+
+      entries.push({
+        filename,
+        checksum,
+        status,
+        fullDump: this.isFullDump(await readSqlHead(filePath)),
+        appliedChecksum: row?.checksum,
+        appliedAt: row?.applied_at,
+        message: row?.message,
+      });
+    }
+
+    const missing = [...ledger.values()].filter(row => !migrations.includes(row.filename));
+
+    return { project, migrationsDir, entries, missing };
+  }
+
+  /**
+   * Seed an empty ledger from migrations/migration_log.json, where dumps
+   * were logged before the registry ledger existed, so those dumps are not
+   * replayed over the live database. Entries keep their message and time.
+   */
+  async seedLedgerFromLog(project, migrationsDir, migrations) {
+    const log = await fs.readJson(path.join(migrationsDir, LEGACY_MIGRATION_LOG)).catch(() => null);
+    if (!Array.isArray(log)) {
+      return;
+    }
+
+    const insert = this.db.prepare(`INSERT INTO migrations (project_id, filename, checksum, message, applied_at)
+      VALUES (?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))`);
+    const seen = new Set();
+    this.db.transaction(() => {
+      for (const entry of log) {
+        if (!migrations.includes(entry?.filename) || seen.has(entry.filename)) {
+          continue;
+        }
+        seen.add(entry.filename);
+        // Stored like CURRENT_TIMESTAMP: UTC without a zone
+        const appliedAt = Date.parse(entry.applied_at)
+          ? new Date(entry.applied_at).toISOString().replace('T', ' ').slice(0, 19)
+          : null;
+        insert.run(project.id, entry.filename, entry.checksum || null, entry.message || null, appliedAt);
+      }
+    })();
+  }
+
+  getProjectRecord(projectName) {
+    const project = this.db.prepare('SELECT * FROM projects WHERE name = ?').get(projectName);
+    if (!project) {
+      throw new Error(`Project ${projectName} is not registered in projects.db`);
+    }
+    return project;
+  }
+
+  recordMigration(projectName, filename, checksum, message = null) {
+    const project = this.getProjectRecord(projectName);
+    this.db.prepare('DELETE FROM migrations WHERE project_id = ? AND filename = ?').run(project.id, filename);
+    this.db.prepare('INSERT INTO migrations (project_id, filename, checksum, message) VALUES (?, ?, ?, ?)')
+      .run(project.id, filename, checksum, message);
+  }
+
+  computeChecksum(content) {
+    return crypto.createHash('md5').update(content).digest('hex');
+  }
+
+  /**
+   * Full mysqldump output (as written by wp_db_dump) rather than an
+   * incremental migration
+   */
+  isFullDump(content) {
+    return /^-- (MySQL|MariaDB) dump/.test(content);
+  }
+
+  /**
+   * Stream a .sql or .sql.gz file into the database and return the
+   * number of SQL bytes read. `onMatch` sees the SQL text as it passes
+   * (see createProgressTap); `keepTable` drops statements for other
+   * tables (see createTableFilter).
+   */
+  async executeSqlFile(projectName, filePath, options = {}) {
+    const { onProgress = null, label = 'Imported', onMatch = null, keepTable = null } = options;
+    const total = filePath.endsWith('.gz') ? null : (await fs.stat(filePath)).size;
+    const db = await credentials.get(projectName);
+
+    const subprocess = execa('docker', [
+      'exec',
+      '-i',
+      config.getContainerName(projectName, 'db'),
+      'mysql',
+      ...credentials.loginArgs(db),
+      db.database,
+    ]);
+
+    const progress = createProgressTap(onProgress, { label, total, onMatch });
+
+    await Promise.all([
+      pipeline(
+        createSqlReadStream(filePath),
+        progress,
+        ...(keepTable ? [createTableFilter(keepTable)] : []),
+        subprocess.stdin
+      ),
+      subprocess,
+    ]);
+
+    return progress.bytes();
+  }
+
   async getNextMigrationNumber(migrationsDir) {
     const files = await fs.readdir(migrationsDir).catch(() => []);
     const numbers = files
@@ -261,53 +1211,56 @@ export class DatabaseManager {
     try {
       const files = await fs.readdir(migrationsDir);
       return files
-        .filter(f => f.endsWith('.sql'))
-        .sort();
+        .filter(f => /\.sql(\.gz)?$/.test(f) && !/\.down\.sql(\.gz)?$/.test(f) && !f.startsWith('.'))
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
     } catch (error) {
       return [];
     }
   }
 
-  async updateMigrationLog(projectPath, filename, checksum, message) {
-    const logPath = path.join(projectPath, 'migrations', 'migration_log.json');
-    
-    let log = [];
-    if (await fs.pathExists(logPath)) {
-      log = await fs.readJson(logPath);
+  /**
+   * State the migrations currently describe: the baseline written by the
+   * last wp_db_diff of that kind, or else the newest migration that is a
+   * full dump (as decided by `isDump`)
+   */
+  async getBaseline(migrationsDir, migrations, baselineFile, isDump) {
+    const baselinePath = path.join(migrationsDir, baselineFile);
+    if (await fs.pathExists(baselinePath)) {
+      return { filename: baselineFile, dump: await fs.readFile(baselinePath, 'utf-8') };
     }
 
-    log.push({
-      filename,
-      checksum,
-      message,
-      applied_at: new Date().toISOString(),
-    });
+    for (const migration of [...migrations].reverse()) {
+      const dump = await readSqlFile(path.join(migrationsDir, migration));
+      if (isDump(dump)) {
+        return { filename: migration, dump };
+      }
+    }
 
-    await fs.writeJson(logPath, log, { spaces: 2 });
+    return null;
   }
 
-  findDatabaseChanges(oldDump, newDump) {
-    // This is a simplified change detection
-    // In production, use a proper SQL diff tool
-    const changes = [];
-    
-    // Check for new tables
-    const oldTables = this.extractTables(oldDump);
-    const newTables = this.extractTables(newDump);
-    
-    for (const table of newTables) {
-      if (!oldTables.includes(table)) {
-        changes.push(`-- New table: ${table}`);
-      }
+  /**
+   * Parsed rows of `tables` from the data baseline, or else from the newest
+   * migration that dumps all of them; files are read line by line
+   */
+  async getDataBaseline(migrationsDir, migrations, tables) {
+    const baselinePath = path.join(migrationsDir, DATA_BASELINE);
+    if (await fs.pathExists(baselinePath)) {
+      return { filename: DATA_BASELINE, data: await this.dataDiff.parseDumpLines(readSqlLines(baselinePath), tables) };
     }
-    
-    for (const table of oldTables) {
-      if (!newTables.includes(table)) {
-        changes.push(`-- Dropped table: ${table}`);
+
+    for (const migration of [...migrations].reverse()) {
+      const data = await this.dataDiff.parseDumpLines(readSqlLines(path.join(migrationsDir, migration)), tables);
+      if (tables.every(table => data.has(table))) {
+        return { filename: migration, data };
       }
     }
-    
-    return changes;
+
+    return null;
+  }
+
+  findDatabaseChanges(oldDump, newDump) {
+    return this.schemaDiff.diff(oldDump, newDump);
   }
 
   extractTables(dump) {
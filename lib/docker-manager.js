@@ -1,10 +1,34 @@
 import { execa } from 'execa';
 import path from 'path';
 import fs from 'fs-extra';
+import { config } from './config-manager.js';
+import { PortManager } from './port-manager.js';
+
+const PROXY_IMAGE = 'nginx:1.27-alpine';
+
+// Start of the block in wp-config-local.php that serves a site on its
+// <project>.localhost proxy hostname; older versions trusted any Host
+const PROXY_HOST_MARKER = '// Serve the site on its proxy hostname';
+const LEGACY_HOST_MARKER = '// Serve the site on the requested host';
+
+/**
+ * wp-config-local.php block for a site reached through the proxy. nginx
+ * forwards the bare hostname, and only that exact host gets the fixed
+ * proxy URL; every other request uses the stored siteurl/home.
+ */
+function proxyHostConfig(projectName, proxyUrl) {
+  return `
+${PROXY_HOST_MARKER} (WP-CLI keeps the stored URL)
+if (($_SERVER['HTTP_HOST'] ?? '') === '${projectName}.localhost') {
+    define('WP_HOME', '${proxyUrl}');
+    define('WP_SITEURL', WP_HOME);
+}
+`;
+}
 
 export class DockerManager {
   constructor() {
-    this.projectsDir = process.env.WP_PROJECTS_DIR || '/Users/tyler-lcsw/projects/wp-projects';
+    this.projectsDir = config.getProjectsDir();
   }
 
   async getProjectPath(projectName) {
@@ -45,11 +69,17 @@ export class DockerManager {
         cwd: projectPath,
       });
 
+      const proxied = await this.isProxyRunning() && await this.connectToProxy(projectName);
+      if (!proxied) {
+        await this.updateProxyHostConfig(projectName, null);
+      }
+
       return {
         content: [
           {
             type: 'text',
-            text: `Started containers for project: ${projectName}\n${stdout}`,
+            text: `Started containers for project: ${projectName}\n${stdout}` +
+                  (proxied ? `\nProxy URL: ${this.getProxyUrl(projectName, await this.getProxyPort())}` : ''),
           },
         ],
       };
@@ -112,6 +142,27 @@ export class DockerManager {
     }
   }
 
+  /**
+   * Rebuild the WordPress image (e.g. after the Dockerfile changed) and
+   * recreate its container; the database container is left alone
+   */
+  async rebuildProject(projectName) {
+    await this.checkDockerInstalled();
+    const projectPath = await this.getProjectPath(projectName);
+
+    if (!await fs.pathExists(projectPath)) {
+      throw new Error(`Project ${projectName} does not exist`);
+    }
+
+    const command = this.composeCommand || ['docker', 'compose'];
+    await execa(command[0], [...command.slice(1), 'build', '--pull', 'wordpress'], {
+      cwd: projectPath,
+    });
+    await execa(command[0], [...command.slice(1), 'up', '-d', 'wordpress'], {
+      cwd: projectPath,
+    });
+  }
+
   async getLogs(projectName, service = null, lines = 50) {
     await this.checkDockerInstalled();
     const projectPath = await this.getProjectPath(projectName);
@@ -144,6 +195,11 @@ export class DockerManager {
     }
   }
 
+  /**
+   * Overall state of a project's containers from docker inspect:
+   * 'running' when every service is running, 'partial' when only some
+   * are, 'stopped' when none are, 'not_found' without a project directory
+   */
   async getContainerStatus(projectName) {
     await this.checkDockerInstalled();
     const projectPath = await this.getProjectPath(projectName);
@@ -153,33 +209,172 @@ export class DockerManager {
     }
 
     try {
-      const command = this.composeCommand || ['docker', 'compose'];
-      const { stdout } = await execa(command[0], [...command.slice(1), 'ps', '-q'], {
-        cwd: projectPath,
+      const services = await this.inspectServices(projectName);
+      const running = services.filter(s => s.state === 'running').length;
+      if (running === services.length) {
+        return 'running';
+      }
+      return running > 0 ? 'partial' : 'stopped';
+    } catch (error) {
+      return 'error';
+    }
+  }
+
+  /**
+   * Per-service container details from docker inspect: state, uptime,
+   * health check result, restart count and published ports. Containers
+   * that do not exist are reported as 'missing'.
+   */
+  async inspectServices(projectName) {
+    await this.checkDockerInstalled();
+    const services = [
+      ['wordpress', config.getContainerName(projectName, 'app')],
+      ['db', config.getContainerName(projectName, 'db')],
+    ];
+
+    const states = [];
+    for (const [service, container] of services) {
+      let info;
+      try {
+        const { stdout } = await execa('docker', ['inspect', container]);
+        [info] = JSON.parse(stdout);
+      } catch (error) {
+        states.push({
+          service,
+          container,
+          state: 'missing',
+          started_at: null,
+          uptime_seconds: null,
+          health: null,
+          health_output: null,
+          restart_count: null,
+          ports: [],
+        });
+        continue;
+      }
+
+      const startedAt = info.State.Running ? info.State.StartedAt : null;
+      const health = info.State.Health;
+      // Live bindings while running, the configured ones otherwise
+      const bindings = (info.State.Running ? info.NetworkSettings?.Ports : info.HostConfig?.PortBindings) || {};
+
+      states.push({
+        service,
+        container,
+        state: info.State.Status,
+        started_at: startedAt,
+        uptime_seconds: startedAt ? Math.round((Date.now() - Date.parse(startedAt)) / 1000) : null,
+        health: health?.Status || null,
+        // Output of the latest check, kept when it is failing
+        health_output: health && health.Status !== 'healthy'
+          ? (health.Log?.[health.Log.length - 1]?.Output || '').trim() || null
+          : null,
+        restart_count: info.RestartCount,
+        ports: Object.entries(bindings).flatMap(([containerPort, hosts]) =>
+          (hosts || []).map(host => ({
+            container_port: containerPort,
+            host_ip: host.HostIp || '0.0.0.0',
+            host_port: parseInt(host.HostPort, 10),
+          }))),
       });
+    }
+    return states;
+  }
 
-      if (stdout.trim()) {
-        // Check if containers are actually running
-        const { stdout: psOutput } = await execa(command[0], [...command.slice(1), 'ps'], {
-          cwd: projectPath,
+  /**
+   * inspectServices plus CPU, memory, network and block I/O from
+   * docker stats for the running containers
+   */
+  async getServiceStats(projectName) {
+    const services = await this.inspectServices(projectName);
+    const running = services.filter(s => s.state === 'running');
+
+    const stats = new Map();
+    if (running.length > 0) {
+      const { stdout } = await execa('docker', [
+        'stats', '--no-stream', '--format', '{{json .}}',
+        ...running.map(s => s.container),
+      ]);
+      for (const line of stdout.split('\n').filter(Boolean)) {
+        const entry = JSON.parse(line);
+        const [memoryUsage, memoryLimit] = (entry.MemUsage || '').split(' / ');
+        stats.set(entry.Name, {
+          cpu_percent: parseFloat(entry.CPUPerc) || 0,
+          memory_usage: memoryUsage || null,
+          memory_limit: memoryLimit || null,
+          memory_percent: parseFloat(entry.MemPerc) || 0,
+          net_io: entry.NetIO || null,
+          block_io: entry.BlockIO || null,
+          pids: parseInt(entry.PIDs, 10) || 0,
         });
-        
-        if (psOutput.includes('Up')) {
-          return 'running';
-        } else {
-          return 'stopped';
-        }
-      } else {
-        return 'stopped';
       }
+    }
+
+    return services.map(service => ({ ...service, stats: stats.get(service.container) || null }));
+  }
+
+  /**
+   * wp_container_stats: state, health, restarts, ports and resource use
+   * of each service, as text followed by JSON
+   */
+  async getContainerStats(projectName) {
+    const projectPath = await this.getProjectPath(projectName);
+    if (!await fs.pathExists(projectPath)) {
+      throw new Error(`Project ${projectName} does not exist`);
+    }
+
+    try {
+      const services = await this.getServiceStats(projectName);
+
+      const text = `Containers for ${projectName}:\n\n` + services.map(s => {
+        const lines = [`${s.service} (${s.container}): ${s.state}` +
+          (s.health ? `, ${s.health}` : ', no health check') +
+          (s.restart_count ? `, ${s.restart_count} restart(s)` : '')];
+        if (s.ports.length > 0) {
+          lines.push(`  Ports: ${s.ports.map(p => `${p.host_port}→${p.container_port}`).join(', ')}`);
+        }
+        if (s.stats) {
+          lines.push(`  CPU ${s.stats.cpu_percent.toFixed(2)}%, memory ${s.stats.memory_usage} / ${s.stats.memory_limit} (${s.stats.memory_percent.toFixed(2)}%), ${s.stats.pids} processes`);
+        }
+        if (s.health_output) {
+          lines.push(`  Last health check: ${s.health_output.split('\n')[0]}`);
+        }
+        return lines.join('\n');
+      }).join('\n');
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text,
+          },
+          {
+            type: 'text',
+            text: JSON.stringify(services, null, 2),
+          },
+        ],
+      };
     } catch (error) {
-      return 'error';
+      throw new Error(`Failed to get container stats: ${error.message}`);
+    }
+  }
+
+  /**
+   * Bytes used by the MySQL data volume, measured inside the running
+   * database container; null when it is not running
+   */
+  async getDatabaseVolumeSize(projectName) {
+    try {
+      const { stdout } = await execa('docker', ['exec', config.getContainerName(projectName, 'db'), 'du', '-sb', '/var/lib/mysql']);
+      return parseInt(stdout, 10);
+    } catch (error) {
+      return null;
     }
   }
 
   async createDockerNetwork(projectName) {
     try {
-      await execa('docker', ['network', 'create', `wp-${projectName}-network`]);
+      await execa('docker', ['network', 'create', config.getNetworkName(projectName)]);
     } catch (error) {
       // Network might already exist, which is fine
       if (!error.message.includes('already exists')) {
@@ -190,19 +385,24 @@ export class DockerManager {
 
   async removeDockerNetwork(projectName) {
     try {
-      await execa('docker', ['network', 'rm', `wp-${projectName}-network`]);
+      await execa('docker', ['network', 'rm', config.getNetworkName(projectName)]);
     } catch (error) {
       // Network might not exist or be in use, which is fine for cleanup
     }
   }
 
-  async removeContainers(projectName) {
+  /**
+   * Remove a project's containers and volumes; `removeImages` also removes
+   * the locally built WordPress image
+   */
+  async removeContainers(projectName, options = {}) {
+    const { removeImages = false } = options;
     const projectPath = await this.getProjectPath(projectName);
     
     if (await fs.pathExists(projectPath)) {
       try {
         const command = this.composeCommand || ['docker', 'compose'];
-        await execa(command[0], [...command.slice(1), 'down', '-v'], {
+        await execa(command[0], [...command.slice(1), 'down', '-v', ...(removeImages ? ['--rmi', 'local'] : [])], {
           cwd: projectPath,
         });
       } catch (error) {
@@ -210,4 +410,220 @@ export class DockerManager {
       }
     }
   }
-}
\ No newline at end of file
+
+  /**
+   * Start the shared nginx reverse proxy that routes <project>.localhost to
+   * each project's app container, so several projects can run side by side
+   */
+  async startProxy(options = {}) {
+    const { port = 80 } = options;
+    const proxyName = config.getProxyName();
+
+    if (await this.isProxyRunning()) {
+      return this.getProxyStatus();
+    }
+
+    try {
+      if (!await new PortManager().isPortFree(port)) {
+        throw new Error(`Port ${port} is already in use on this host`);
+      }
+
+      const confPath = await this.writeProxyConfig();
+      await execa('docker', ['network', 'create', proxyName]).catch(error => {
+        if (!error.message.includes('already exists')) throw error;
+      });
+      await execa('docker', ['rm', '-f', proxyName]).catch(() => {});
+      await execa('docker', [
+        'run', '-d',
+        '--name', proxyName,
+        '--restart', 'unless-stopped',
+        '--network', proxyName,
+        '--label', `wp-cc-mcp.proxy-port=${port}`,
+        '-p', `${port}:80`,
+        '-v', `${confPath}:/etc/nginx/conf.d/default.conf:ro`,
+        PROXY_IMAGE,
+      ]);
+
+      // Projects already running join the proxy network now; others join
+      // when they are started
+      const { stdout } = await execa('docker', ['ps', '--format', '{{.Names}}']);
+      for (const projectName of stdout.split('\n').map(name => this.getProjectFromContainer(name)).filter(Boolean)) {
+        await this.connectToProxy(projectName, port);
+      }
+
+      return this.getProxyStatus();
+    } catch (error) {
+      throw new Error(`Failed to start proxy: ${error.message}`);
+    }
+  }
+
+  async stopProxy() {
+    const proxyName = config.getProxyName();
+
+    try {
+      await execa('docker', ['rm', '-f', proxyName]);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Stopped proxy ${proxyName}. Projects remain reachable on their own ports.`,
+          },
+        ],
+      };
+    } catch (error) {
+      throw new Error(`Failed to stop proxy: ${error.message}`);
+    }
+  }
+
+  async getProxyStatus() {
+    const proxyName = config.getProxyName();
+
+    if (!await this.isProxyRunning()) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Proxy ${proxyName} is not running. Start it with wp_proxy_start.`,
+          },
+        ],
+      };
+    }
+
+    const port = await this.getProxyPort();
+    const { stdout } = await execa('docker', [
+      'network', 'inspect', proxyName, '--format', '{{range .Containers}}{{.Name}}\n{{end}}',
+    ]);
+    const projects = stdout.split('\n')
+      .map(name => this.getProjectFromContainer(name))
+      .filter(Boolean)
+      .sort();
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Proxy ${proxyName} running on port ${port}\n\n` +
+                (projects.length
+                  ? projects.map(name => `• ${name}: ${this.getProxyUrl(name, port)}`).join('\n')
+                  : 'No running projects are connected yet'),
+        },
+      ],
+    };
+  }
+
+  async isProxyRunning() {
+    try {
+      const { stdout } = await execa('docker', ['inspect', '-f', '{{.State.Running}}', config.getProxyName()]);
+      return stdout.trim() === 'true';
+    } catch {
+      return false;
+    }
+  }
+
+  async getProxyPort() {
+    const { stdout } = await execa('docker', [
+      'inspect', '-f', '{{index .Config.Labels "wp-cc-mcp.proxy-port"}}', config.getProxyName(),
+    ]);
+    return parseInt(stdout.trim(), 10) || 80;
+  }
+
+  /**
+   * Project name of an app container name (wp-<project>-app), or null
+   */
+  getProjectFromContainer(containerName) {
+    const prefix = `${config.get('containerPrefix')}-`;
+    return containerName.startsWith(prefix) && containerName.endsWith('-app')
+      ? containerName.slice(prefix.length, -'-app'.length) || null
+      : null;
+  }
+
+  getProxyUrl(projectName, port = 80) {
+    return `http://${projectName}.localhost${port === 80 ? '' : `:${port}`}`;
+  }
+
+  /**
+   * Attach a project's app container to the proxy network and make sure
+   * WordPress accepts the proxy hostname. Returns false if the container
+   * is not running.
+   */
+  async connectToProxy(projectName, proxyPort = null) {
+    await this.updateProxyHostConfig(projectName, proxyPort ?? await this.getProxyPort());
+
+    try {
+      await execa('docker', ['network', 'connect', config.getProxyName(), config.getContainerName(projectName, 'app')]);
+    } catch (error) {
+      if (!/already exists|already attached/.test(error.message)) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Write the proxy hostname block into a project's wp-config-local.php
+   * for a proxy on `proxyPort`, or remove it when `proxyPort` is null.
+   * Older versions of the block are replaced.
+   */
+  async updateProxyHostConfig(projectName, proxyPort) {
+    const localConfig = path.join(await this.getProjectPath(projectName), 'wp-config-local.php');
+    if (!await fs.pathExists(localConfig)) {
+      return;
+    }
+
+    let content = await fs.readFile(localConfig, 'utf-8');
+    for (const marker of [PROXY_HOST_MARKER, LEGACY_HOST_MARKER]) {
+      const start = content.indexOf(marker);
+      const end = start === -1 ? -1 : content.indexOf('\n}\n', start);
+      if (end !== -1) {
+        content = content.slice(0, start).trimEnd() + '\n' + content.slice(end + 3);
+      }
+    }
+
+    const updated = proxyPort === null
+      ? content
+      : content.trimEnd() + '\n' + proxyHostConfig(projectName, this.getProxyUrl(projectName, proxyPort));
+    if (updated !== await fs.readFile(localConfig, 'utf-8')) {
+      await fs.writeFile(localConfig, updated);
+    }
+  }
+
+  /**
+   * nginx server block mapping <project>.localhost to the project's app
+   * container, resolved through Docker's DNS on every request so projects
+   * can come and go without reloading the proxy
+   */
+  async writeProxyConfig() {
+    const proxyDir = path.join(this.projectsDir, '.proxy');
+    await fs.ensureDir(proxyDir);
+
+    const upstream = config.getContainerName('$project', 'app');
+    const conf = `server {
+    listen 80 default_server;
+    server_name ~^(?<project>[a-z0-9-]+)\\.localhost$;
+
+    resolver 127.0.0.11 valid=10s ipv6=off;
+    client_max_body_size 64m;
+
+    location / {
+        set $upstream http://${upstream}:80;
+        proxy_pass $upstream;
+        proxy_set_header Host $host;
+        proxy_set_header X-Real-IP $remote_addr;
+        proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;
+        proxy_set_header X-Forwarded-Proto $scheme;
+    }
+
+    error_page 502 503 504 = @not_running;
+    location @not_running {
+        default_type text/plain;
+        return 502 "Project $project is not running or not connected to the proxy\\n";
+    }
+}
+`;
+
+    const confPath = path.join(proxyDir, 'default.conf');
+    await fs.writeFile(confPath, conf);
+    return confPath;
+  }
+}
@@ -0,0 +1,129 @@
+/**
+ * Dump Filter
+ * Removes individual rows from SQL dump text without touching the
+ * database it came from. Statements are split on unquoted semicolons, so
+ * both single-line (mysqldump) and multi-line (WP-CLI export) INSERTs are
+ * handled; kept rows are re-emitted as the exact literals that were read.
+ */
+
+import { SchemaDiff } from './schema-diff.js';
+import { DataDiff } from './data-diff.js';
+
+const INSERT_PATTERN = /^INSERT INTO `([^`]+)`\s*(\(([^)]*)\))?\s*VALUES\s*/;
+
+export class DumpFilter {
+  constructor() {
+    this.schemaDiff = new SchemaDiff();
+    this.dataDiff = new DataDiff();
+  }
+
+  /**
+   * Split a dump into statements. Comment lines are returned as their own
+   * entries so quotes inside them do not confuse the scan.
+   */
+  splitStatements(dump) {
+    const statements = [];
+    let start = 0;
+    let i = 0;
+
+    while (i < dump.length) {
+      // Skip whitespace between statements
+      while (i < dump.length && /\s/.test(dump[i])) i++;
+      start = i;
+      if (i >= dump.length) break;
+
+      if (dump.startsWith('--', i) || dump[i] === '#') {
+        const end = dump.indexOf('\n', i);
+        i = end === -1 ? dump.length : end + 1;
+        statements.push(dump.slice(start, i).trimEnd());
+        continue;
+      }
+
+      let quote = null;
+      while (i < dump.length) {
+        const char = dump[i];
+        if (quote) {
+          if (char === '\\') {
+            i++;
+          } else if (char === quote) {
+            quote = null;
+          }
+        } else if (char === '\'' || char === '"' || char === '`') {
+          quote = char;
+        } else if (char === ';') {
+          i++;
+          break;
+        }
+        i++;
+      }
+      statements.push(dump.slice(start, i));
+    }
+
+    return statements;
+  }
+
+  /**
+   * Drop rows for which `rules[table](row)` returns true. `row` maps column
+   * names to raw SQL literals (see literalValue). Returns
+   * { dump, removed: { table: count } }.
+   */
+  filter(dump, rules) {
+    const columnsByTable = new Map();
+    const removed = {};
+    const output = [];
+
+    for (const statement of this.splitStatements(dump)) {
+      if (statement.startsWith('CREATE TABLE')) {
+        for (const [name, table] of this.schemaDiff.parseDump(statement)) {
+          columnsByTable.set(name, [...table.columns.keys()]);
+        }
+        output.push(statement);
+        continue;
+      }
+
+      const insertMatch = statement.match(INSERT_PATTERN);
+      const rule = insertMatch && rules[insertMatch[1]];
+      if (!rule) {
+        output.push(statement);
+        continue;
+      }
+
+      const table = insertMatch[1];
+      const columns = insertMatch[3]
+        ? insertMatch[3].split(',').map(c => c.trim().replace(/`/g, ''))
+        : columnsByTable.get(table);
+      if (!columns) {
+        throw new Error(`Cannot filter rows of ${table}: no column list or CREATE TABLE before its data`);
+      }
+
+      const tuples = this.dataDiff.parseTuples(statement, insertMatch[0].length);
+      const kept = tuples.filter(tuple => {
+        const row = Object.fromEntries(columns.map((column, index) => [column, tuple[index]]));
+        return !rule(row);
+      });
+
+      removed[table] = (removed[table] || 0) + tuples.length - kept.length;
+      if (kept.length > 0) {
+        output.push(insertMatch[0] + kept.map(tuple => `(${tuple.join(',')})`).join(',\n') + ';');
+      }
+    }
+
+    return { dump: output.join('\n') + '\n', removed };
+  }
+
+  /**
+   * Plain value of a simple SQL literal: strips quotes and backslash
+   * escapes; NULL becomes null
+   */
+  literalValue(literal) {
+    if (literal === undefined || literal === 'NULL') {
+      return null;
+    }
+    if (literal.startsWith('\'')) {
+      return literal.slice(1, -1).replace(/''/g, '\'').replace(/\\(.)/g, '$1');
+    }
+    return literal;
+  }
+}
+
+export default DumpFilter;
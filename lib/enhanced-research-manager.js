@@ -10,12 +10,13 @@ import fetch from 'node-fetch';
 import path from 'path';
 import fs from 'fs-extra';
 import dotenv from 'dotenv';
+import { config } from './config-manager.js';
 
 dotenv.config();
 
 export class EnhancedResearchManager {
   constructor() {
-    this.projectsDir = process.env.WP_PROJECTS_DIR || '/Users/tyler-lcsw/projects/wp-projects';
+    this.projectsDir = config.getProjectsDir();
     this.jinaApiKey = process.env.JINA_API_KEY;
     this.unsplashApiKey = process.env.UNSPLASH_API_KEY;
     
@@ -1,10 +1,11 @@
 import simpleGit from 'simple-git';
 import path from 'path';
 import fs from 'fs-extra';
+import { config } from './config-manager.js';
 
 export class GitManager {
   constructor() {
-    this.projectsDir = process.env.WP_PROJECTS_DIR || '/Users/tyler-lcsw/projects/wp-projects';
+    this.projectsDir = config.getProjectsDir();
   }
 
   async getGit(projectPath) {
@@ -70,6 +71,36 @@ export class GitManager {
     };
   }
 
+  /**
+   * Branch, uncommitted changes, last commit and the newest deployment tag
+   * (deploy-* from wp_prepare_deployment, siteground-deploy-* from
+   * wp_siteground_deploy). Null when the project has no repository.
+   */
+  async getSummary(projectPath) {
+    if (!await fs.pathExists(path.join(projectPath, '.git'))) {
+      return null;
+    }
+
+    const git = await this.getGit(projectPath);
+    const status = await git.status();
+    const log = await git.log({ maxCount: 1 }).catch(() => null);
+    const tags = await git.raw([
+      'tag', '--list', 'deploy-*', 'siteground-deploy-*',
+      '--sort=-creatordate', '--format=%(refname:short) %(creatordate:iso-strict)',
+    ]);
+    const [tagName, tagDate] = tags.split('\n')[0].split(' ');
+
+    return {
+      branch: status.current,
+      dirty: !status.isClean(),
+      changed_files: status.files.length,
+      last_commit: log?.latest
+        ? { hash: log.latest.hash.slice(0, 7), date: log.latest.date, message: log.latest.message }
+        : null,
+      last_deploy_tag: tagName ? { name: tagName, date: tagDate } : null,
+    };
+  }
+
   async commit(projectName, message) {
     const projectPath = path.join(this.projectsDir, projectName);
     
@@ -131,7 +162,7 @@ export class GitManager {
     const migrationsDir = path.join(projectPath, 'migrations');
     if (await fs.pathExists(migrationsDir)) {
       const migrations = await fs.readdir(migrationsDir);
-      const sqlFiles = migrations.filter(f => f.endsWith('.sql'));
+      const sqlFiles = migrations.filter(f => /\.sql(\.gz)?$/.test(f) && !f.startsWith('.'));
       checklist += `\n✅ Database Migrations:\n`;
       checklist += `   Found ${sqlFiles.length} migration file(s)\n`;
       if (sqlFiles.length === 0) {
@@ -0,0 +1,194 @@
+/**
+ * Health Manager
+ * Per-project health report aggregated from Docker, the database, WP-CLI,
+ * git and the saved test results.
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import { execa } from 'execa';
+import { config } from './config-manager.js';
+import { registry } from './registry-manager.js';
+import { credentials } from './credentials-manager.js';
+import { DockerManager } from './docker-manager.js';
+import { GitManager } from './git-manager.js';
+import { WPCLIManager } from './wpcli-manager.js';
+import { TestingManager } from './testing-manager.js';
+import { formatBytes } from './sql-stream.js';
+
+export class HealthManager {
+  constructor() {
+    this.db = registry.db;
+    this.dockerManager = new DockerManager();
+    this.gitManager = new GitManager();
+    this.wpcliManager = new WPCLIManager();
+    this.testingManager = new TestingManager();
+  }
+
+  /**
+   * Health of one project, or of every registered project. The response
+   * holds a readable summary followed by the same data as JSON.
+   */
+  async getHealth(projectName = null) {
+    if (projectName !== null && (typeof projectName !== 'string' || !projectName.trim())) {
+      throw new Error('project must be a project name; leave it out for every project');
+    }
+
+    const projects = projectName
+      ? [this.db.prepare('SELECT * FROM projects WHERE name = ?').get(projectName)]
+      : this.db.prepare('SELECT * FROM projects ORDER BY name').all();
+
+    if (projectName && !projects[0]) {
+      throw new Error(`Project ${projectName} not found`);
+    }
+
+    const report = [];
+    for (const project of projects) {
+      report.push(await this.collect(project));
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: report.map(health => this.formatHealth(health)).join('\n\n') || 'No projects registered',
+        },
+        {
+          type: 'text',
+          text: JSON.stringify(report, null, 2),
+        },
+      ],
+    };
+  }
+
+  async collect(project) {
+    const health = {
+      name: project.name,
+      path: project.path,
+      exists: await fs.pathExists(project.path),
+      containers: [],
+      running: false,
+      database: { reachable: false, volume_bytes: null },
+      wordpress: null,
+      disk: { uploads_bytes: null },
+      git: null,
+      last_test: null,
+      archived: null,
+      errors: [],
+    };
+
+    if (project.archived_at) {
+      health.archived = { at: project.archived_at, archive: project.archive_path };
+      return health;
+    }
+
+    if (!health.exists) {
+      health.errors.push(`Project directory ${project.path} is missing`);
+      return health;
+    }
+
+    // Each source is optional: a failure is recorded and the rest still runs
+    const attempt = async (label, fn) => {
+      try {
+        return await fn();
+      } catch (error) {
+        health.errors.push(`${label}: ${error.message}`);
+        return null;
+      }
+    };
+
+    health.containers = await attempt('containers', () => this.dockerManager.inspectServices(project.name)) || [];
+    health.running = health.containers.length > 0 && health.containers.every(c => c.state === 'running');
+    health.disk.uploads_bytes = await attempt('uploads', () => this.getDirectorySize(path.join(project.path, 'wp-content', 'uploads')));
+    health.git = await attempt('git', () => this.gitManager.getSummary(project.path));
+    health.last_test = await attempt('tests', () => this.testingManager.getLatestResult(project.name));
+
+    if (health.running) {
+      health.database.reachable = await this.pingDatabase(project.name);
+      health.database.volume_bytes = await this.dockerManager.getDatabaseVolumeSize(project.name);
+      health.wordpress = await attempt('wordpress', () => this.wpcliManager.getUpdates(project.name));
+    }
+
+    return health;
+  }
+
+  async pingDatabase(projectName) {
+    try {
+      const db = await credentials.get(projectName);
+      await execa('docker', [
+        'exec',
+        config.getContainerName(projectName, 'db'),
+        'mysqladmin',
+        ...credentials.loginArgs(db),
+        'ping',
+      ]);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Disk usage of a directory in bytes (0 when it does not exist)
+   */
+  async getDirectorySize(dir) {
+    if (!await fs.pathExists(dir)) {
+      return 0;
+    }
+    const { stdout } = await execa('du', ['-sk', dir]);
+    return parseInt(stdout, 10) * 1024;
+  }
+
+  formatHealth(health) {
+    if (health.archived) {
+      return `📦 ${health.name}\n  Archived ${health.archived.at} to ${health.archived.archive}`;
+    }
+
+    const lines = [`${health.running ? '🟢' : '⚪'} ${health.name}`];
+
+    for (const c of health.containers) {
+      lines.push(`  ${c.service}: ${c.state}` +
+        (c.uptime_seconds !== null ? `, up ${this.formatDuration(c.uptime_seconds)}` : '') +
+        (c.health ? `, health ${c.health}` : '') +
+        (c.restart_count ? `, ${c.restart_count} restart(s)` : ''));
+    }
+
+    if (health.running) {
+      lines.push(`  Database: ${health.database.reachable ? 'reachable' : 'NOT reachable'}` +
+        (health.database.volume_bytes !== null ? `, ${formatBytes(health.database.volume_bytes)} on disk` : ''));
+    }
+
+    const wp = health.wordpress;
+    if (wp) {
+      const pending = [
+        wp.core?.length ? `core → ${wp.core[0].version}` : null,
+        wp.plugins?.length ? `${wp.plugins.length} plugin(s)` : null,
+        wp.themes?.length ? `${wp.themes.length} theme(s)` : null,
+      ].filter(Boolean);
+      lines.push(`  WordPress ${wp.wordpress_version || 'unknown'}; updates: ${pending.join(', ') || 'none'}`);
+    }
+
+    if (health.disk.uploads_bytes !== null) {
+      lines.push(`  Uploads: ${formatBytes(health.disk.uploads_bytes)}`);
+    }
+
+    const git = health.git;
+    if (git) {
+      lines.push(`  Git: ${git.branch}, ${git.dirty ? `${git.changed_files} uncommitted change(s)` : 'clean'}` +
+        `; last deploy: ${git.last_deploy_tag ? `${git.last_deploy_tag.name}` : 'never'}`);
+    }
+
+    const test = health.last_test;
+    lines.push(`  Last test: ${test ? `${test.success ? 'passed' : 'failed'} (${test.timestamp})` : 'none'}`);
+
+    health.errors.forEach(error => lines.push(`  ⚠️ ${error}`));
+
+    return lines.join('\n');
+  }
+
+  formatDuration(seconds) {
+    if (seconds >= 86400) return `${Math.floor(seconds / 86400)}d ${Math.floor(seconds % 86400 / 3600)}h`;
+    if (seconds >= 3600) return `${Math.floor(seconds / 3600)}h ${Math.floor(seconds % 3600 / 60)}m`;
+    return `${Math.floor(seconds / 60)}m`;
+  }
+}
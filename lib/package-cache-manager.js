@@ -0,0 +1,396 @@
+/**
+ * Package Cache Manager
+ * WordPress core archives and plugin/theme zips downloaded from
+ * wordpress.org, kept under <projects>/.package-cache by type, slug and
+ * version together with their SHA-1, so projects can be created and
+ * extended without network once the cache is warm.
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import crypto from 'crypto';
+import { pipeline } from 'stream/promises';
+import { execa } from 'execa';
+import fetch from 'node-fetch';
+import { config } from './config-manager.js';
+import { computeFileChecksum, formatBytes } from './sql-stream.js';
+
+const INDEX_FILE = 'index.json';
+const PACKAGE_TYPES = ['core', 'plugin', 'theme'];
+
+const VERSION_CHECK_URLS = {
+  core: () => 'https://api.wordpress.org/core/version-check/1.7/',
+  plugin: slug => `https://api.wordpress.org/plugins/info/1.2/?action=plugin_information&request[slug]=${encodeURIComponent(slug)}`,
+  theme: slug => `https://api.wordpress.org/themes/info/1.2/?action=theme_information&request[slug]=${encodeURIComponent(slug)}`,
+};
+
+const DOWNLOAD_URLS = {
+  core: (slug, version) => `https://wordpress.org/wordpress-${version}.tar.gz`,
+  plugin: (slug, version) => `https://downloads.wordpress.org/plugin/${slug}.${version}.zip`,
+  theme: (slug, version) => `https://downloads.wordpress.org/theme/${slug}.${version}.zip`,
+};
+
+// Host commands used to extract archives, with arguments that only print
+// their version
+const EXTRACT_TOOLS = {
+  tar: ['--version'],
+  unzip: ['-v'],
+};
+
+export class PackageCacheManager {
+  constructor() {
+    this.cacheDir = config.getPackageCacheDir();
+    this.availableTools = new Set();
+  }
+
+  async readIndex() {
+    const indexPath = path.join(this.cacheDir, INDEX_FILE);
+    return await fs.pathExists(indexPath) ? fs.readJson(indexPath) : { packages: [] };
+  }
+
+  async writeIndex(index) {
+    await fs.ensureDir(this.cacheDir);
+    await fs.writeJson(path.join(this.cacheDir, INDEX_FILE), index, { spaces: 2 });
+  }
+
+  getFilePath(entry) {
+    return path.join(this.cacheDir, entry.file);
+  }
+
+  /**
+   * Verified local archive for a package, downloading it on a miss.
+   * Without a version the latest release is looked up, falling back to the
+   * newest cached version when wordpress.org cannot be reached.
+   * Returns the index entry plus `cached` (true when no download happened).
+   */
+  async fetchPackage(type, slug, version = null) {
+    if (!PACKAGE_TYPES.includes(type)) {
+      throw new Error(`Unknown package type: ${type} (expected ${PACKAGE_TYPES.join(', ')})`);
+    }
+    if (!/^[a-z0-9][a-z0-9._-]*$/i.test(slug)) {
+      throw new Error(`Invalid package slug: ${slug}`);
+    }
+
+    const resolved = await this.resolveVersion(type, slug, version);
+    const index = await this.readIndex();
+    let entry = index.packages.find(p => p.type === type && p.slug === slug && p.version === resolved);
+    let cached = true;
+
+    if (entry && !await this.isIntact(entry)) {
+      index.packages = index.packages.filter(p => p !== entry);
+      await fs.remove(this.getFilePath(entry));
+      entry = null;
+    }
+
+    if (!entry) {
+      entry = await this.download(type, slug, resolved);
+      index.packages.push(entry);
+      cached = false;
+    }
+
+    entry.last_used = new Date().toISOString();
+    await this.writeIndex(index);
+
+    return { ...entry, cached };
+  }
+
+  async resolveVersion(type, slug, version) {
+    if (version && version !== 'latest') {
+      return String(version);
+    }
+
+    try {
+      return await this.getLatestVersion(type, slug);
+    } catch (error) {
+      const newest = (await this.readIndex()).packages
+        .filter(p => p.type === type && p.slug === slug)
+        .sort((a, b) => compareVersions(b.version, a.version))[0];
+      if (!newest) {
+        throw new Error(`Cannot look up the latest ${this.describe(type, slug)} and none is cached: ${error.message}`);
+      }
+      return newest.version;
+    }
+  }
+
+  async getLatestVersion(type, slug) {
+    const response = await fetch(VERSION_CHECK_URLS[type](slug));
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} from wordpress.org`);
+    }
+
+    const data = await response.json();
+    if (type === 'core') {
+      return data.offers[0].current;
+    }
+    if (data.error || !data.version) {
+      throw new Error(`${this.describe(type, slug)} not found on wordpress.org`);
+    }
+    return data.version;
+  }
+
+  /**
+   * Download into the cache. Core archives are checked against the SHA-1
+   * wordpress.org publishes; plugin and theme zips have no published
+   * checksum, so the one recorded here guards later reuse.
+   */
+  async download(type, slug, version) {
+    const url = DOWNLOAD_URLS[type](slug, version);
+    const file = path.join(type, slug, path.basename(url));
+    const target = path.join(this.cacheDir, file);
+    const partial = `${target}.${crypto.randomBytes(4).toString('hex')}.part`;
+
+    await fs.ensureDir(path.dirname(target));
+
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status} for ${url}`);
+      }
+      await pipeline(response.body, fs.createWriteStream(partial));
+
+      const sha1 = await computeFileChecksum(partial, 'sha1');
+      let checksumSource = 'download';
+      if (type === 'core') {
+        const published = await fetch(`${url}.sha1`);
+        if (!published.ok) {
+          throw new Error(`No published checksum for WordPress ${version} (HTTP ${published.status})`);
+        }
+        const expected = (await published.text()).trim().split(/\s+/)[0];
+        if (sha1 !== expected) {
+          throw new Error(`WordPress ${version} archive checksum mismatch (expected ${expected}, got ${sha1})`);
+        }
+        checksumSource = 'wordpress.org';
+      }
+
+      await fs.move(partial, target, { overwrite: true });
+
+      return {
+        type,
+        slug,
+        version,
+        file,
+        sha1,
+        checksum_source: checksumSource,
+        size: (await fs.stat(target)).size,
+        downloaded_at: new Date().toISOString(),
+        last_used: null,
+      };
+    } catch (error) {
+      await fs.remove(partial);
+      throw new Error(`Failed to download ${this.describe(type, slug)} ${version}: ${error.message}`);
+    }
+  }
+
+  async isIntact(entry) {
+    const filePath = this.getFilePath(entry);
+    return await fs.pathExists(filePath) && await computeFileChecksum(filePath, 'sha1') === entry.sha1;
+  }
+
+  /**
+   * Extract a WordPress release into a project directory
+   */
+  async installCore(projectPath, version) {
+    await this.requireTool('tar');
+    const entry = await this.fetchPackage('core', 'wordpress', version);
+    await execa('tar', ['-xzf', this.getFilePath(entry), '-C', projectPath, '--strip-components=1']);
+    return entry;
+  }
+
+  /**
+   * Extract a plugin or theme into the project's wp-content, replacing any
+   * existing copy. The project directory is mounted into the container, so
+   * WP-CLI sees it immediately.
+   */
+  async installPackage(projectPath, type, slug, version = null) {
+    await this.requireTool('unzip');
+    const entry = await this.fetchPackage(type, slug, version);
+    const targetDir = path.join(projectPath, 'wp-content', `${type}s`);
+
+    await fs.ensureDir(targetDir);
+    await fs.remove(path.join(targetDir, slug));
+    await execa('unzip', ['-q', '-o', this.getFilePath(entry), '-d', targetDir]);
+
+    return entry;
+  }
+
+  /**
+   * Make sure an extraction tool is installed on the host; checked once
+   * per tool
+   */
+  async requireTool(tool) {
+    if (this.availableTools.has(tool)) {
+      return;
+    }
+    try {
+      await execa(tool, EXTRACT_TOOLS[tool]);
+    } catch (error) {
+      throw new Error(`${tool} is not installed; it is needed to extract cached WordPress packages`);
+    }
+    this.availableTools.add(tool);
+  }
+
+  async listPackages(type = null) {
+    const index = await this.readIndex();
+    const packages = index.packages
+      .filter(p => !type || p.type === type)
+      .sort((a, b) => a.type.localeCompare(b.type) || a.slug.localeCompare(b.slug) ||
+        compareVersions(b.version, a.version));
+
+    if (packages.length === 0) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Package cache is empty (${this.cacheDir})`,
+          },
+        ],
+      };
+    }
+
+    const total = packages.reduce((sum, p) => sum + p.size, 0);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Package cache: ${this.cacheDir}\n` +
+                `${packages.length} packages, ${formatBytes(total)}\n\n` +
+                packages.map(p => `• ${this.describe(p.type, p.slug)} ${p.version} (${formatBytes(p.size)}, ` +
+                  `sha1 ${p.sha1.slice(0, 12)} from ${p.checksum_source}, ` +
+                  `last used ${p.last_used ? p.last_used.split('T')[0] : 'never'})`).join('\n'),
+        },
+      ],
+    };
+  }
+
+  /**
+   * Remove cached packages: all but the newest `keep` versions of each
+   * package, and anything not used for `olderThanDays`. Files that are
+   * missing, corrupt or not in the index are always cleaned up.
+   */
+  async prunePackages(options = {}) {
+    const { keep = 1, olderThanDays = null, type = null, dryRun = false } = options;
+    const index = await this.readIndex();
+    const cutoff = olderThanDays !== null ? Date.now() - olderThanDays * 24 * 60 * 60 * 1000 : null;
+
+    const remove = new Set();
+    const groups = new Map();
+    for (const entry of index.packages) {
+      if (!await this.isIntact(entry)) {
+        remove.add(entry);
+        continue;
+      }
+      if (type && entry.type !== type) continue;
+      const key = `${entry.type}/${entry.slug}`;
+      groups.set(key, [...(groups.get(key) || []), entry]);
+    }
+
+    for (const entries of groups.values()) {
+      entries.sort((a, b) => compareVersions(b.version, a.version));
+      entries.forEach((entry, i) => {
+        const lastUsed = Date.parse(entry.last_used || entry.downloaded_at);
+        if (i >= keep || (cutoff !== null && lastUsed < cutoff)) {
+          remove.add(entry);
+        }
+      });
+    }
+
+    const indexed = new Set(index.packages.map(p => p.file));
+    const orphans = (await this.listFiles()).filter(file => !indexed.has(file));
+    const freed = [...remove].reduce((sum, p) => sum + (p.size || 0), 0);
+    const remaining = index.packages.filter(p => !remove.has(p));
+
+    if (!dryRun) {
+      for (const entry of remove) {
+        await fs.remove(this.getFilePath(entry));
+      }
+      for (const file of orphans) {
+        await fs.remove(path.join(this.cacheDir, file));
+      }
+      index.packages = remaining;
+      await this.writeIndex(index);
+    }
+
+    const lines = [...remove].map(p => `• ${this.describe(p.type, p.slug)} ${p.version}`)
+      .concat(orphans.map(file => `• ${file} (not in index)`));
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `${dryRun ? 'Would remove' : 'Removed'} ${remove.size + orphans.length} cached files ` +
+                `(${formatBytes(freed)})` +
+                (lines.length ? `:\n${lines.join('\n')}` : '') +
+                `\n${remaining.length} packages ${dryRun ? 'would remain' : 'remain'} in the cache`,
+        },
+      ],
+    };
+  }
+
+  /**
+   * Download packages ahead of time. Plugins and themes are given as
+   * "slug" or "slug@version".
+   */
+  async prefetchPackages(options = {}) {
+    const { wordpress = [], plugins = [], themes = [] } = options;
+    const requests = [
+      ...wordpress.map(version => ['core', 'wordpress', version]),
+      ...plugins.map(spec => ['plugin', ...spec.split('@')]),
+      ...themes.map(spec => ['theme', ...spec.split('@')]),
+    ];
+
+    if (requests.length === 0) {
+      throw new Error('Nothing to prefetch: give wordpress versions, plugins or themes');
+    }
+
+    const lines = [];
+    const failures = [];
+    for (const [type, slug, version] of requests) {
+      try {
+        const entry = await this.fetchPackage(type, slug, version || null);
+        lines.push(`✅ ${this.describe(type, slug)} ${entry.version} ${entry.cached ? '(already cached)' : `(downloaded, ${formatBytes(entry.size)})`}`);
+      } catch (error) {
+        failures.push(`❌ ${this.describe(type, slug)}${version ? ` ${version}` : ''}: ${error.message}`);
+      }
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Prefetched into ${this.cacheDir}\n\n` + [...lines, ...failures].join('\n'),
+        },
+      ],
+    };
+  }
+
+  async listFiles(dir = this.cacheDir, prefix = '') {
+    const files = [];
+    for (const name of await fs.readdir(dir).catch(() => [])) {
+      const relative = path.join(prefix, name);
+      if ((await fs.stat(path.join(dir, name))).isDirectory()) {
+        files.push(...await this.listFiles(path.join(dir, name), relative));
+      } else if (relative !== INDEX_FILE) {
+        files.push(relative);
+      }
+    }
+    return files;
+  }
+
+  describe(type, slug) {
+    return type === 'core' ? 'WordPress' : `${type} ${slug}`;
+  }
+}
+
+/**
+ * Compare dotted version strings numerically (6.10 > 6.9)
+ */
+export function compareVersions(a, b) {
+  const left = String(a).split('.').map(part => parseInt(part, 10) || 0);
+  const right = String(b).split('.').map(part => parseInt(part, 10) || 0);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
@@ -0,0 +1,73 @@
+/**
+ * Port Manager
+ * Probes the host for listening sockets and hands out free ports for
+ * project app and database containers, skipping ports already claimed in
+ * the registry.
+ */
+
+import net from 'net';
+
+export const DEFAULT_APP_PORT = 8081;
+export const DB_PORT_OFFSET = 1000;
+export const DEFAULT_HTTPS_PORT = 8443;
+const SEARCH_LIMIT = 1000;
+
+export class PortManager {
+  /**
+   * True when nothing on the host is listening on `port`. Docker publishes
+   * on all interfaces, so that is what is probed.
+   */
+  isPortFree(port) {
+    return new Promise(resolve => {
+      const server = net.createServer();
+      server.once('error', () => resolve(false));
+      server.once('listening', () => server.close(() => resolve(true)));
+      server.listen({ port, host: '0.0.0.0', exclusive: true });
+    });
+  }
+
+  /**
+   * First port from `preferred` upwards that is neither in `reserved` nor
+   * listening on the host
+   */
+  async findFreePort(preferred, reserved = new Set()) {
+    for (let port = preferred; port < preferred + SEARCH_LIMIT && port <= 65535; port++) {
+      if (!reserved.has(port) && await this.isPortFree(port)) {
+        return port;
+      }
+    }
+    throw new Error(`No free port found between ${preferred} and ${Math.min(preferred + SEARCH_LIMIT - 1, 65535)}`);
+  }
+
+  /**
+   * Database port of a registry row; projects created before it was
+   * recorded use the app port + 1000
+   */
+  getDbPort(project) {
+    return project.db_port || project.port + DB_PORT_OFFSET;
+  }
+
+  /**
+   * [kind, port] pairs a project publishes: app, db and, when HTTPS is
+   * enabled, https
+   */
+  getProjectPorts(project) {
+    return [
+      ['app', project.port],
+      ['db', this.getDbPort(project)],
+      ...(project.https_port ? [['https', project.https_port]] : []),
+    ];
+  }
+
+  /**
+   * Every port claimed in the registry, optionally ignoring one project
+   */
+  getReservedPorts(projects, exceptName = null) {
+    const reserved = new Set();
+    for (const project of projects) {
+      if (project.name === exceptName) continue;
+      this.getProjectPorts(project).forEach(([, port]) => reserved.add(port));
+    }
+    return reserved;
+  }
+}
@@ -1,61 +1,73 @@
-import Database from 'better-sqlite3';
 import path from 'path';
 import fs from 'fs-extra';
 import { execa } from 'execa';
+import fetch from 'node-fetch';
 import { DockerManager } from './docker-manager.js';
 import { GitManager } from './git-manager.js';
-import { fileURLToPath } from 'url';
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
+import { config } from './config-manager.js';
+import { registry } from './registry-manager.js';
+import { credentials } from './credentials-manager.js';
+import { PackageCacheManager } from './package-cache-manager.js';
+import { PortManager, DEFAULT_APP_PORT, DB_PORT_OFFSET, DEFAULT_HTTPS_PORT } from './port-manager.js';
+import { CertificateManager } from './certificate-manager.js';
+import { DatabaseManager } from './database-manager.js';
+import { SiteGroundManager } from './siteground-manager.js';
+import {
+  BlueprintManager,
+  DEFAULT_WORDPRESS_VERSION,
+  DEFAULT_PHP_VERSION,
+  SUPPORTED_PHP_VERSIONS,
+} from './blueprint-manager.js';
+
+// Layout of wp_project_export archives: manifest and dump at the top
+// level, project files under <name>/
+const ARCHIVE_FORMAT = 'wp-cc-mcp-project';
+const ARCHIVE_MANIFEST = 'manifest.json';
+const ARCHIVE_DUMP = 'database.sql';
+// Where wp_adopt_project keeps a site's own wp-config.php
+const ORIGINAL_WP_CONFIG = 'wp-config.original.php';
+// Machine-local state that never leaves the project directory; the
+// original wp-config.php holds production credentials and salts
+const ARCHIVE_EXCLUDES = ['.env', ORIGINAL_WP_CONFIG, 'snapshots', 'exports', 'test-results', 'wp-content/debug.log'];
+// Database dump stored inside an archived project directory
+const ARCHIVED_DUMP = '.archive-database.sql.gz';
+// Container statuses of a project in use: some or all of its containers
+// are up and holding its ports
+const UP_STATUSES = new Set(['running', 'partial']);
+// Fields wp_list_projects can sort by
+const LIST_SORT_FIELDS = ['name', 'client', 'status', 'port', 'created_at', 'last_accessed'];
+// Registry columns carried in the manifest; SiteGround credentials are an
+// SSH key outside the registry, so none of these are secret
+const ARCHIVE_REGISTRY_FIELDS = [
+  'client',
+  'tags',
+  'notes',
+  'meta',
+  'git_remote',
+  'project_type',
+  'siteground_ssh_host',
+  'siteground_ssh_user',
+  'siteground_repo_path',
+  'siteground_site_url',
+  'siteground_deployment_branch',
+  'siteground_staging_branch',
+];
 
 export class ProjectManager {
   constructor() {
-    this.projectsDir = process.env.WP_PROJECTS_DIR || '/Users/tyler-lcsw/projects/wp-projects';
-    this.dbPath = path.join(path.dirname(__dirname), 'projects.db');
+    this.projectsDir = config.getProjectsDir();
     this.dockerManager = new DockerManager();
-    this.initDatabase();
-  }
-
-  initDatabase() {
-    this.db = new Database(this.dbPath);
-    
-    // Create projects table
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS projects (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT UNIQUE NOT NULL,
-        path TEXT NOT NULL,
-        port INTEGER NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        last_accessed DATETIME DEFAULT CURRENT_TIMESTAMP,
-        git_remote TEXT,
-        active BOOLEAN DEFAULT 0,
-        siteground_ssh_host TEXT,
-        siteground_ssh_user TEXT,
-        siteground_repo_path TEXT,
-        siteground_site_url TEXT,
-        siteground_deployment_branch TEXT DEFAULT 'master',
-        siteground_staging_branch TEXT DEFAULT 'staging',
-        project_type TEXT DEFAULT 'wordpress',
-        docker_compose_path TEXT,
-        status TEXT DEFAULT 'inactive'
-      )
-    `);
-
-    // Create migrations table
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS migrations (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        project_id INTEGER NOT NULL,
-        filename TEXT NOT NULL,
-        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        checksum TEXT,
-        FOREIGN KEY (project_id) REFERENCES projects(id)
-      )
-    `);
-  }
-
-  async createProject(name, port, gitRemote = null) {
+    this.blueprintManager = new BlueprintManager();
+    this.packageCache = new PackageCacheManager();
+    this.portManager = new PortManager();
+    this.certificateManager = new CertificateManager();
+    this.db = registry.db;
+  }
+
+  async createProject(name, port = null, gitRemote = null, options = {}) {
+    const { blueprint: blueprintRef = null, wordpressVersion = null, phpVersion: requestedPhp = null } = options;
+    let { dbPort = null } = options;
+
     // Validate project name
     if (!/^[a-z0-9-]+$/.test(name)) {
       throw new Error('Project name must contain only lowercase letters, numbers, and hyphens');
@@ -67,11 +79,15 @@ export class ProjectManager {
       throw new Error(`Project ${name} already exists`);
     }
 
-    // Check if port is already in use
-    const portInUse = this.db.prepare('SELECT * FROM projects WHERE port = ?').get(port);
-    if (portInUse) {
-      throw new Error(`Port ${port} is already in use by project ${portInUse.name}`);
-    }
+    // Check requested ports against the registry and the host, or pick free ones
+    ({ port, dbPort } = await this.allocatePorts(port, dbPort));
+
+    // Load the blueprint before touching anything so a bad one fails fast;
+    // explicit versions take precedence over the blueprint's
+    const blueprint = blueprintRef ? await this.blueprintManager.load(blueprintRef) : null;
+    const phpVersion = String(requestedPhp || blueprint?.php || DEFAULT_PHP_VERSION);
+    this.validatePhpVersion(phpVersion);
+    const wpVersion = await this.resolveWordPressVersion(wordpressVersion || blueprint?.wordpress || DEFAULT_WORDPRESS_VERSION);
 
     const projectPath = path.join(this.projectsDir, name);
 
@@ -79,21 +95,18 @@ export class ProjectManager {
       // Create project directory
       await fs.ensureDir(projectPath);
 
-      // Download WordPress
-      const wpUrl = 'https://wordpress.org/wordpress-6.8.1.tar.gz';
-      const wpArchive = path.join('/tmp', `wordpress-${name}.tar.gz`);
-      
-      await execa('wget', ['-O', wpArchive, wpUrl]);
-      await execa('tar', ['-xzf', wpArchive, '-C', projectPath, '--strip-components=1'], {
-        cwd: projectPath,
-      });
-      await fs.remove(wpArchive);
+      // Extract WordPress (downloaded into the package cache on first use)
+      await this.packageCache.installCore(projectPath, wpVersion);
+      await this.checkPhpCompatibility(projectPath, phpVersion);
 
       // Create migrations directory
       await fs.ensureDir(path.join(projectPath, 'migrations'));
 
+      // Random database passwords, kept in the git-ignored .env that docker compose reads
+      await credentials.createCredentials(name, { WORDPRESS_PORT: port, DB_PORT: dbPort });
+
       // Copy Docker templates
-      await this.createDockerFiles(projectPath, name, port);
+      await this.createDockerFiles(projectPath, name, port, { phpVersion, dbPort });
 
       // Copy WordPress config template
       await this.createWordPressConfig(projectPath);
@@ -107,9 +120,9 @@ export class ProjectManager {
 
       // Insert into database
       this.db.prepare(`
-        INSERT INTO projects (name, path, port, git_remote, active)
-        VALUES (?, ?, ?, ?, ?)
-      `).run(name, projectPath, port, gitRemote, 0);
+        INSERT INTO projects (name, path, port, db_port, git_remote, active)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(name, projectPath, port, dbPort, gitRemote, 0);
 
       // Start Docker containers
       await this.dockerManager.startProject(name);
@@ -117,6 +130,9 @@ export class ProjectManager {
       // Wait for WordPress to be ready
       await this.waitForWordPress(port);
 
+      // Install and configure WordPress as the blueprint describes
+      const blueprintLog = blueprint ? await this.blueprintManager.apply(name, port, blueprint) : [];
+
       // Make initial commit
       await gitManager.commitAll(projectPath, 'Initial WordPress setup');
 
@@ -126,9 +142,10 @@ export class ProjectManager {
             type: 'text',
             text: `✅ Created WordPress project: ${name}\n` +
                   `📁 Location: ${projectPath}\n` +
-                  `🌐 URL: http://localhost:${port}\n` +
-                  `🐳 Docker containers started\n` +
-                  `📝 Git repository initialized`,
+                  `🌐 URL: http://localhost:${port} (database port ${dbPort})\n` +
+                  `🐳 Docker containers started (WordPress ${wpVersion}, PHP ${phpVersion})\n` +
+                  `📝 Git repository initialized` +
+                  (blueprint ? `\n\n📐 Blueprint ${blueprint.name}:\n` + blueprintLog.map(line => `  • ${line}`).join('\n') : ''),
           },
         ],
       };
@@ -140,38 +157,173 @@ export class ProjectManager {
     }
   }
 
-  async listProjects() {
-    const projects = this.db.prepare('SELECT * FROM projects ORDER BY last_accessed DESC').all();
-    
+  /**
+   * List projects, optionally filtered by client, tags (all must match),
+   * status, custom metadata or free text, and sorted by any of
+   * LIST_SORT_FIELDS. The response holds the readable list followed by
+   * the same projects as JSON.
+   */
+  async listProjects(options = {}) {
+    const { client = null, tags = [], status = null, meta = {}, search = null, sortBy = 'last_accessed', order = null } = options;
+
+    if (!LIST_SORT_FIELDS.includes(sortBy)) {
+      throw new Error(`Cannot sort by ${sortBy}; use one of ${LIST_SORT_FIELDS.join(', ')}`);
+    }
+
+    let projects = this.db.prepare('SELECT * FROM projects').all().map(p => this.withMetadata(p));
+
     // Check container status for each project
     for (const project of projects) {
-      project.status = await this.dockerManager.getContainerStatus(project.name);
+      project.status = project.archived_at
+        ? 'archived'
+        : await this.dockerManager.getContainerStatus(project.name).catch(() => 'unknown');
     }
 
-    const projectList = projects.map(p => 
-      `• ${p.name} (Port: ${p.port}) - Status: ${p.status}${p.active ? ' [ACTIVE]' : ''}`
+    const wantedTags = tags.map(tag => this.normalizeTag(tag));
+    const needle = search?.toLowerCase();
+    projects = projects.filter(p =>
+      (!client || (p.client || '').toLowerCase().includes(client.toLowerCase())) &&
+      wantedTags.every(tag => p.tags.includes(tag)) &&
+      (!status || p.status === status) &&
+      Object.entries(meta).every(([key, value]) => String(p.meta[key]) === String(value)) &&
+      (!needle || [p.name, p.client, p.notes, ...p.tags, ...Object.values(p.meta)]
+        .some(value => value != null && String(value).toLowerCase().includes(needle))));
+
+    // Dates read newest first unless asked otherwise
+    const descending = order ? order === 'desc' : ['last_accessed', 'created_at'].includes(sortBy);
+    projects.sort((a, b) => {
+      const x = a[sortBy] ?? '';
+      const y = b[sortBy] ?? '';
+      const result = typeof x === 'number' && typeof y === 'number'
+        ? x - y
+        : String(x).localeCompare(String(y));
+      return descending ? -result : result;
+    });
+
+    const projectList = projects.map(p =>
+      `• ${p.name} (Port: ${p.port}) - Status: ${p.status}${p.active ? ' [ACTIVE]' : ''}` +
+      (p.client ? `\n    Client: ${p.client}` : '') +
+      (p.tags.length > 0 ? `\n    Tags: ${p.tags.join(', ')}` : '') +
+      (Object.keys(p.meta).length > 0 ? `\n    Metadata: ${Object.entries(p.meta).map(([k, v]) => `${k}=${v}`).join(', ')}` : '') +
+      (p.notes ? `\n    Notes: ${p.notes.replace(/\n/g, ' ')}` : '')
     ).join('\n');
 
+    const json = projects.map(p => ({
+      name: p.name,
+      status: p.status,
+      active: Boolean(p.active),
+      port: p.port,
+      db_port: p.db_port,
+      https_port: p.https_port,
+      client: p.client,
+      tags: p.tags,
+      notes: p.notes,
+      meta: p.meta,
+      path: p.path,
+      created_at: p.created_at,
+      last_accessed: p.last_accessed,
+    }));
+
     return {
       content: [
         {
           type: 'text',
           text: projectList || 'No projects found',
         },
+        {
+          type: 'text',
+          text: JSON.stringify(json, null, 2),
+        },
       ],
     };
   }
 
-  async switchProject(name) {
+  /**
+   * Edit a project's client, notes, tags and custom key/values. Tags can
+   * be replaced (`tags`) or changed incrementally (`addTags`,
+   * `removeTags`); a null `meta` value removes that key, and a null client
+   * or notes clears it.
+   */
+  async updateProjectMeta(name, updates = {}) {
+    const project = this.getProject(name);
+    if (!project) {
+      throw new Error(`Project ${name} not found`);
+    }
+
+    const current = this.withMetadata(project);
+    let tags = updates.tags ? updates.tags.map(tag => this.normalizeTag(tag)) : current.tags;
+    tags = [...new Set([...tags, ...(updates.addTags || []).map(tag => this.normalizeTag(tag))])]
+      .filter(tag => !(updates.removeTags || []).map(t => this.normalizeTag(t)).includes(tag))
+      .sort();
+
+    const meta = { ...current.meta };
+    for (const [key, value] of Object.entries(updates.meta || {})) {
+      if (value === null) {
+        delete meta[key];
+      } else {
+        meta[key] = value;
+      }
+    }
+
+    const client = updates.client !== undefined ? updates.client || null : current.client;
+    const notes = updates.notes !== undefined ? updates.notes || null : current.notes;
+
+    this.db.prepare('UPDATE projects SET client = ?, tags = ?, notes = ?, meta = ? WHERE id = ?')
+      .run(client, JSON.stringify(tags), notes, JSON.stringify(meta), project.id);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Updated ${name}:\n` +
+                `Client: ${client || '(none)'}\n` +
+                `Tags: ${tags.join(', ') || '(none)'}\n` +
+                `Metadata: ${Object.entries(meta).map(([k, v]) => `${k}=${v}`).join(', ') || '(none)'}\n` +
+                `Notes: ${notes || '(none)'}`,
+        },
+      ],
+    };
+  }
+
+  /**
+   * Registry row with its tags and custom metadata parsed
+   */
+  withMetadata(project) {
+    const parse = (value, fallback) => {
+      try {
+        return JSON.parse(value) ?? fallback;
+      } catch {
+        return fallback;
+      }
+    };
+    return { ...project, tags: parse(project.tags, []), meta: parse(project.meta, {}) };
+  }
+
+  normalizeTag(tag) {
+    const normalized = String(tag).trim().toLowerCase().replace(/\s+/g, '-');
+    if (!normalized) {
+      throw new Error('Tags must not be empty');
+    }
+    return normalized;
+  }
+
+  /**
+   * Make a project the active one and start it. Other projects keep
+   * running unless `stopOthers` is set; each has its own ports, and the
+   * reverse proxy (wp_proxy_start) serves them all as <project>.localhost.
+   */
+  async switchProject(name, options = {}) {
+    const { stopOthers = false } = options;
     const project = this.db.prepare('SELECT * FROM projects WHERE name = ?').get(name);
     if (!project) {
       throw new Error(`Project ${name} not found`);
     }
 
-    // Stop all active projects
-    const activeProjects = this.db.prepare('SELECT * FROM projects WHERE active = 1').all();
-    for (const activeProject of activeProjects) {
-      await this.dockerManager.stopProject(activeProject.name);
+    if (stopOthers) {
+      const activeProjects = this.db.prepare('SELECT * FROM projects WHERE active = 1 AND name != ?').all(name);
+      for (const activeProject of activeProjects) {
+        await this.dockerManager.stopProject(activeProject.name);
+      }
     }
 
     // Set all projects to inactive
@@ -179,6 +331,9 @@ export class ProjectManager {
 
     // Start the target project
     await this.dockerManager.startProject(name);
+    const proxyUrl = await this.dockerManager.isProxyRunning()
+      ? this.dockerManager.getProxyUrl(name, await this.dockerManager.getProxyPort())
+      : null;
 
     // Set target project as active
     this.db.prepare('UPDATE projects SET active = 1, last_accessed = CURRENT_TIMESTAMP WHERE name = ?').run(name);
@@ -187,7 +342,8 @@ export class ProjectManager {
       content: [
         {
           type: 'text',
-          text: `Switched to project: ${name}\nURL: http://localhost:${project.port}`,
+          text: `Switched to project: ${name}\nURL: http://localhost:${project.port}` +
+                (proxyUrl ? `\nProxy URL: ${proxyUrl}` : ''),
         },
       ],
     };
@@ -210,6 +366,9 @@ export class ProjectManager {
     // Optionally delete files
     if (deleteFiles) {
       await fs.remove(project.path);
+      if (project.archive_path) {
+        await fs.remove(project.archive_path);
+      }
     }
 
     return {
@@ -222,8 +381,905 @@ export class ProjectManager {
     };
   }
 
-  async createDockerFiles(projectPath, projectName, port) {
-    // Create Dockerfile
+  /**
+   * Duplicate a project under a new name and ports: files (with or
+   * without git history), database and migration ledger. Container names
+   * and ports come from freshly generated Docker files and .env, and the
+   * source site URL is rewritten in the copied database. A stopped source
+   * is started for the dump and stopped again afterwards.
+   */
+  async cloneProject(sourceName, name, options = {}) {
+    const { gitRemote = null, includeGitHistory = true } = options;
+    let { port = null, dbPort = null } = options;
+
+    const source = this.getProject(sourceName);
+    if (!source) {
+      throw new Error(`Project ${sourceName} not found`);
+    }
+
+    const projectPath = await this.checkNewProject(name);
+    ({ port, dbPort } = await this.allocatePorts(port, dbPort));
+
+    const phpVersion = await this.getPhpVersion(source.path) || DEFAULT_PHP_VERSION;
+    const dumpFile = `exports/.clone-${sourceName}.tmp.sql`;
+
+    try {
+      await fs.copy(source.path, projectPath, {
+        filter: this.createLocalStateFilter(source.path, { includeGit: includeGitHistory }),
+      });
+
+      const gitManager = new GitManager();
+      const git = await gitManager.getGit(projectPath);
+      if (includeGitHistory && await fs.pathExists(path.join(projectPath, '.git'))) {
+        // The copied remotes belong to the source project's client
+        for (const remote of await git.getRemotes()) {
+          await git.removeRemote(remote.name);
+        }
+        if (gitRemote) {
+          await git.addRemote('origin', gitRemote);
+        }
+      } else {
+        await gitManager.initRepository(projectPath, gitRemote);
+      }
+
+      // Dump the source into the clone's exports/ so the import code can read it
+      await fs.ensureDir(path.join(projectPath, 'exports'));
+      await this.withDatabase(source, () =>
+        new DatabaseManager().writeDump(sourceName, path.join(projectPath, dumpFile)));
+
+      const imported = await this.bootProject(name, projectPath, {
+        port,
+        dbPort,
+        phpVersion,
+        dumpFile,
+        sourceUrl: this.getSiteUrl(source),
+        migrations: this.getAppliedMigrations(source.id),
+        registry: { git_remote: gitRemote, project_type: source.project_type || 'wordpress' },
+      });
+
+      await gitManager.commitAll(projectPath, `Clone of ${sourceName}`);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `✅ Cloned ${sourceName} to ${name}\n` +
+                  `📁 Location: ${projectPath}\n` +
+                  `🌐 URL: http://localhost:${port} (database port ${dbPort})\n` +
+                  `🐳 Docker containers started (PHP ${phpVersion})\n` +
+                  `📝 Git: ${includeGitHistory ? 'history copied, remotes removed' : 'new repository'}` +
+                  (gitRemote ? `, origin ${gitRemote}` : '') + '\n' +
+                  `🗄️ Database copied from ${sourceName}` + imported +
+                  (source.https_port ? `\n\nHTTPS is not copied; run wp_enable_https for ${name} if needed.` : ''),
+          },
+        ],
+      };
+    } catch (error) {
+      await this.discardProject(name, projectPath);
+      throw new Error(`Failed to clone project: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write a single .tar.gz holding the project files (uploads and git
+   * history included), a database dump and a manifest with the registry
+   * metadata, migration ledger and SiteGround connection. Credentials,
+   * snapshots and other machine-local state are left out.
+   */
+  async exportProject(name, options = {}) {
+    const project = this.getProject(name);
+    if (!project) {
+      throw new Error(`Project ${name} not found`);
+    }
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const output = path.resolve(options.output || path.join(this.projectsDir, 'exports', `${name}-${timestamp}.tar.gz`));
+    const stagingDir = path.join(this.projectsDir, `.export-${name}-${timestamp}`);
+
+    try {
+      await fs.ensureDir(stagingDir);
+      await fs.ensureDir(path.dirname(output));
+
+      await this.withDatabase(project, () =>
+        new DatabaseManager().writeDump(name, path.join(stagingDir, ARCHIVE_DUMP)));
+
+      const manifest = {
+        format: ARCHIVE_FORMAT,
+        version: 1,
+        name,
+        exported_at: new Date().toISOString(),
+        site_url: this.getSiteUrl(project),
+        php_version: await this.getPhpVersion(project.path),
+        wordpress_version: await this.getWordPressVersion(project.path),
+        registry: Object.fromEntries(ARCHIVE_REGISTRY_FIELDS.map(field => [field, project[field] ?? null])),
+        migrations: this.getAppliedMigrations(project.id),
+      };
+      await fs.writeJson(path.join(stagingDir, ARCHIVE_MANIFEST), manifest, { spaces: 2 });
+
+      await execa('tar', [
+        '-czf', output,
+        ...ARCHIVE_EXCLUDES.map(entry => `--exclude=${name}/${entry}`),
+        '-C', stagingDir, ARCHIVE_MANIFEST, ARCHIVE_DUMP,
+        '-C', this.projectsDir, name,
+      ]);
+
+      const { size } = await fs.stat(output);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `✅ Exported ${name} to ${output}\n` +
+                  `Size: ${(size / 1024 / 1024).toFixed(2)} MB\n` +
+                  `WordPress ${manifest.wordpress_version || 'unknown'}, PHP ${manifest.php_version || 'unknown'}, ` +
+                  `${manifest.migrations.length} applied migration(s)` +
+                  (project.siteground_ssh_host ? `\nSiteGround connection included (${project.siteground_ssh_user}@${project.siteground_ssh_host}); the SSH key is not` : '') +
+                  `\n\nImport it elsewhere with wp_project_import.`,
+          },
+        ],
+      };
+    } catch (error) {
+      await fs.remove(output).catch(() => {});
+      throw new Error(`Failed to export project: ${error.message}`);
+    } finally {
+      await fs.remove(stagingDir);
+    }
+  }
+
+  /**
+   * Register and start a project from a wp_project_export archive, on new
+   * ports and with new credentials, and rewrite the exported site URL
+   */
+  async importProject(archive, options = {}) {
+    let { port = null, dbPort = null } = options;
+    const archivePath = path.resolve(archive);
+    if (!await fs.pathExists(archivePath)) {
+      throw new Error(`Archive not found: ${archive}`);
+    }
+
+    const stagingDir = path.join(this.projectsDir, `.import-${Date.now()}`);
+    let name = null;
+    let projectPath = null;
+    let moved = false;
+
+    try {
+      await fs.ensureDir(stagingDir);
+      await execa('tar', ['-xzf', archivePath, '-C', stagingDir]);
+
+      const manifestPath = path.join(stagingDir, ARCHIVE_MANIFEST);
+      const manifest = await fs.readJson(manifestPath).catch(() => null);
+      if (manifest?.format !== ARCHIVE_FORMAT) {
+        throw new Error(`${archive} is not a project archive created by wp_project_export`);
+      }
+      if (!/^[a-z0-9-]+$/.test(manifest.name || '')) {
+        throw new Error(`Archive has an invalid project name: ${manifest.name}`);
+      }
+      if (manifest.version > 1) {
+        throw new Error(`Archive format version ${manifest.version} is newer than this server supports`);
+      }
+
+      name = options.name || manifest.name;
+      projectPath = await this.checkNewProject(name);
+      ({ port, dbPort } = await this.allocatePorts(port, dbPort));
+
+      const phpVersion = manifest.php_version || DEFAULT_PHP_VERSION;
+      this.validatePhpVersion(phpVersion);
+
+      await fs.move(path.join(stagingDir, manifest.name), projectPath);
+      moved = true;
+      const dumpFile = `exports/.import-${manifest.name}.tmp.sql`;
+      await fs.move(path.join(stagingDir, ARCHIVE_DUMP), path.join(projectPath, dumpFile), { overwrite: true });
+
+      if (!await fs.pathExists(path.join(projectPath, '.git'))) {
+        await new GitManager().initRepository(projectPath, manifest.registry.git_remote);
+      }
+
+      const imported = await this.bootProject(name, projectPath, {
+        port,
+        dbPort,
+        phpVersion,
+        dumpFile,
+        sourceUrl: manifest.site_url,
+        migrations: manifest.migrations || [],
+        registry: Object.fromEntries(ARCHIVE_REGISTRY_FIELDS.map(field => [field, manifest.registry?.[field] ?? null])),
+      });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `✅ Imported ${manifest.name}${name !== manifest.name ? ` as ${name}` : ''} (exported ${manifest.exported_at})\n` +
+                  `📁 Location: ${projectPath}\n` +
+                  `🌐 URL: http://localhost:${port} (database port ${dbPort})\n` +
+                  `🐳 Docker containers started (WordPress ${manifest.wordpress_version || 'unknown'}, PHP ${phpVersion})\n` +
+                  `🗄️ Database imported` + imported +
+                  (manifest.registry?.siteground_ssh_host
+                    ? `\n\nSiteGround connection restored; make sure the SSH key at ${config.get('sshKeyPath')} is authorized for ${manifest.registry.siteground_ssh_user}@${manifest.registry.siteground_ssh_host}.`
+                    : ''),
+          },
+        ],
+      };
+    } catch (error) {
+      if (moved) {
+        await this.discardProject(name, projectPath);
+      }
+      throw new Error(`Failed to import project: ${error.message}`);
+    } finally {
+      await fs.remove(stagingDir);
+    }
+  }
+
+  /**
+   * Bring an existing WordPress site under management: copy a local
+   * directory plus SQL dump, or pull files and database from a SiteGround
+   * host, then generate Docker files around it, import the database with
+   * its URL rewritten, initialize git if absent and register it
+   */
+  async adoptProject(name, options = {}) {
+    const {
+      path: sourcePath = null,
+      sqlFile = null,
+      siteground = null,
+      sourceUrl = null,
+      phpVersion: requestedPhp = null,
+      gitRemote = null,
+    } = options;
+    let { port = null, dbPort = null } = options;
+
+    if (!sourcePath === !siteground) {
+      throw new Error('Provide either path (with sqlFile) or siteground to adopt from');
+    }
+    if (sourcePath) {
+      if (!await fs.pathExists(path.join(sourcePath, 'wp-includes', 'version.php'))) {
+        throw new Error(`${sourcePath} does not look like a WordPress directory (wp-includes/version.php not found)`);
+      }
+      if (!sqlFile || !await fs.pathExists(sqlFile)) {
+        throw new Error(`SQL dump not found: ${sqlFile || '(sqlFile is required with path)'}`);
+      }
+    }
+    if (siteground) {
+      for (const field of ['sshHost', 'sshUser']) {
+        if (!/^[\w.-]+$/.test(siteground[field] || '')) {
+          throw new Error(`siteground.${field} is missing or invalid`);
+        }
+      }
+    }
+
+    const projectPath = await this.checkNewProject(name);
+    ({ port, dbPort } = await this.allocatePorts(port, dbPort));
+    const phpVersion = String(requestedPhp || DEFAULT_PHP_VERSION);
+    this.validatePhpVersion(phpVersion);
+
+    const dumpFile = `exports/.adopt-${name}.tmp.sql${sqlFile?.endsWith('.gz') ? '.gz' : ''}`;
+    const dumpPath = path.join(projectPath, dumpFile);
+
+    try {
+      if (sourcePath) {
+        await fs.copy(sourcePath, projectPath, { filter: this.createLocalStateFilter(sourcePath) });
+        await fs.copy(sqlFile, dumpPath);
+      } else {
+        await fs.ensureDir(path.dirname(dumpPath));
+        await new SiteGroundManager().pullSite({
+          sshHost: siteground.sshHost,
+          sshUser: siteground.sshUser,
+          remotePath: siteground.remotePath,
+          projectPath,
+          dumpPath,
+        });
+      }
+
+      await this.checkPhpCompatibility(projectPath, phpVersion);
+      const wpVersion = await this.getWordPressVersion(projectPath);
+      const configNote = await this.adaptWordPressConfig(projectPath);
+
+      await fs.ensureDir(path.join(projectPath, 'migrations'));
+      if (!await fs.pathExists(path.join(projectPath, '.gitignore'))) {
+        await this.createGitIgnore(projectPath);
+      }
+      await this.ignorePath(projectPath, ORIGINAL_WP_CONFIG);
+
+      const gitManager = new GitManager();
+      const hasGit = await fs.pathExists(path.join(projectPath, '.git'));
+      if (!hasGit) {
+        await gitManager.initRepository(projectPath, gitRemote);
+      }
+
+      const imported = await this.bootProject(name, projectPath, {
+        port,
+        dbPort,
+        phpVersion,
+        dumpFile,
+        sourceUrl: sourceUrl || siteground?.siteUrl || null,
+        registry: {
+          git_remote: gitRemote,
+          ...(siteground ? {
+            siteground_ssh_host: siteground.sshHost,
+            siteground_ssh_user: siteground.sshUser,
+            siteground_site_url: siteground.siteUrl || null,
+          } : {}),
+        },
+      });
+
+      if (!hasGit) {
+        await gitManager.commitAll(projectPath, 'Adopt existing WordPress site');
+      }
+
+      // Set up deploy remotes as wp_siteground_connect does
+      if (siteground?.repoPath) {
+        await new SiteGroundManager().connectProject(name, siteground.sshHost, siteground.sshUser, siteground.repoPath, siteground.siteUrl || null);
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `✅ Adopted ${sourcePath || `${siteground.sshUser}@${siteground.sshHost}`} as ${name}\n` +
+                  `📁 Location: ${projectPath}\n` +
+                  `🌐 URL: http://localhost:${port} (database port ${dbPort})\n` +
+                  `🐳 Docker containers started (WordPress ${wpVersion || 'unknown'}, PHP ${phpVersion})\n` +
+                  `⚙️ ${configNote}\n` +
+                  `📝 Git: ${hasGit ? 'existing repository kept (Docker files left uncommitted)' : 'repository initialized'}\n` +
+                  `🗄️ Database imported` + imported +
+                  (siteground?.repoPath ? `\n🔗 SiteGround remotes configured for ${siteground.repoPath}` : ''),
+          },
+        ],
+      };
+    } catch (error) {
+      await this.discardProject(name, projectPath);
+      throw new Error(`Failed to adopt project: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replace a site's own wp-config.php with the managed one, which loads
+   * wp-config-local.php locally. The table prefix is kept and the original
+   * is saved (git-ignored) as wp-config.original.php. Returns a summary.
+   */
+  async adaptWordPressConfig(projectPath) {
+    const configPath = path.join(projectPath, 'wp-config.php');
+    const original = await fs.readFile(configPath, 'utf-8').catch(() => null);
+
+    if (original?.includes('wp-config-local.php')) {
+      return 'Existing wp-config.php already loads wp-config-local.php; kept';
+    }
+
+    if (original && /define\(\s*['"](MULTISITE|WP_ALLOW_MULTISITE)['"]\s*,\s*true/.test(original)) {
+      throw new Error('Multisite installs are not supported');
+    }
+
+    const tablePrefix = original?.match(/\$table_prefix\s*=\s*['"]([\w]+)['"]/)?.[1] || 'wp_';
+    if (original) {
+      await fs.writeFile(path.join(projectPath, ORIGINAL_WP_CONFIG), original);
+    }
+    await this.createWordPressConfig(projectPath, { tablePrefix });
+
+    return `Generated wp-config.php (table prefix ${tablePrefix})` +
+      (original ? `; the original is saved as ${ORIGINAL_WP_CONFIG}` : '');
+  }
+
+  /**
+   * Add `entry` to the project's .gitignore unless it is already listed
+   */
+  async ignorePath(projectPath, entry) {
+    const gitignorePath = path.join(projectPath, '.gitignore');
+    const gitignore = await fs.readFile(gitignorePath, 'utf-8').catch(() => '');
+    if (!gitignore.split('\n').some(line => line.trim() === entry)) {
+      await fs.appendFile(gitignorePath, `${gitignore && !gitignore.endsWith('\n') ? '\n' : ''}${entry}\n`);
+    }
+  }
+
+  /**
+   * Validate a new project name and return its directory, which must not
+   * exist yet
+   */
+  async checkNewProject(name) {
+    if (!/^[a-z0-9-]+$/.test(name)) {
+      throw new Error('Project name must contain only lowercase letters, numbers, and hyphens');
+    }
+
+    if (this.getProject(name)) {
+      throw new Error(`Project ${name} already exists`);
+    }
+
+    const projectPath = path.join(this.projectsDir, name);
+    if (await fs.pathExists(projectPath)) {
+      throw new Error(`Directory ${projectPath} already exists`);
+    }
+
+    return projectPath;
+  }
+
+  /**
+   * Turn a directory of WordPress files into a running project: fresh
+   * credentials, Docker files and wp-config-local.php (copies from older
+   * projects hard-code the old credentials), a registry row, started
+   * containers, and the database loaded from `dumpFile` (relative to the
+   * project) with `sourceUrl` rewritten. `migrations` becomes the ledger.
+   * Returns the import report lines.
+   */
+  async bootProject(name, projectPath, options = {}) {
+    const { port, dbPort, phpVersion, dumpFile, sourceUrl, migrations = [], registry = {} } = options;
+
+    await credentials.createCredentials(name, { WORDPRESS_PORT: port, DB_PORT: dbPort });
+    await this.createDockerFiles(projectPath, name, port, { phpVersion, dbPort });
+    await this.createLocalWordPressConfig(projectPath);
+
+    const fields = Object.keys(registry);
+    this.db.prepare(`
+      INSERT INTO projects (name, path, port, db_port, active${fields.map(f => `, ${f}`).join('')})
+      VALUES (?, ?, ?, ?, ?${fields.map(() => ', ?').join('')})
+    `).run(name, projectPath, port, dbPort, 0, ...fields.map(f => registry[f]));
+
+    await this.dockerManager.startProject(name);
+    await this.waitForWordPress(port);
+
+    const imported = await new DatabaseManager().importDatabase(name, dumpFile, { sourceUrl });
+    await fs.remove(path.join(projectPath, dumpFile));
+
+    // The database came with these migrations applied
+    const project = this.getProject(name);
+    const insert = this.db.prepare('INSERT INTO migrations (project_id, filename, checksum, message) VALUES (?, ?, ?, ?)');
+    this.db.transaction(() => {
+      migrations.forEach(m => insert.run(project.id, m.filename, m.checksum, m.message ?? null));
+    })();
+
+    return imported.content[0].text.split('\n').slice(1).map(line => `\n  ${line}`).join('');
+  }
+
+  /**
+   * Undo a partially created project: containers, files and registry rows
+   */
+  async discardProject(name, projectPath) {
+    await this.dockerManager.removeContainers(name).catch(() => {});
+    await fs.remove(projectPath);
+    const project = this.getProject(name);
+    if (project) {
+      this.db.prepare('DELETE FROM migrations WHERE project_id = ?').run(project.id);
+      this.db.prepare('DELETE FROM projects WHERE id = ?').run(project.id);
+    }
+  }
+
+  /**
+   * fs.copy filter that leaves out machine-local state: credentials,
+   * snapshots, exports, test results, logs and, unless `includeGit`, the
+   * git repository
+   */
+  createLocalStateFilter(projectPath, options = {}) {
+    const { includeGit = true } = options;
+    const excluded = new Set([
+      ...ARCHIVE_EXCLUDES.map(entry => path.normalize(entry)),
+      ...(includeGit ? [] : ['.git']),
+    ]);
+    return (src) => !excluded.has(path.relative(projectPath, src));
+  }
+
+  /**
+   * Run `fn` with the project's containers up; missing containers are
+   * started first, and a stopped project is stopped again afterwards
+   */
+  async withDatabase(project, fn) {
+    const status = await this.dockerManager.getContainerStatus(project.name).catch(() => 'unknown');
+    const running = UP_STATUSES.has(status);
+    if (status !== 'running') {
+      await this.dockerManager.startProject(project.name);
+      await this.waitForWordPress(project.port);
+    }
+    try {
+      return await fn();
+    } finally {
+      if (!running) {
+        await this.dockerManager.stopProject(project.name).catch(() => {});
+      }
+    }
+  }
+
+  getAppliedMigrations(projectId) {
+    return this.db.prepare('SELECT filename, checksum, message FROM migrations WHERE project_id = ? ORDER BY id').all(projectId);
+  }
+
+  /**
+   * Put a project away: dump its database into the project directory,
+   * compress the directory into <projects>/.archives, then remove its
+   * containers, volumes, built image and files. The registry row stays,
+   * marked archived, and keeps its ports.
+   */
+  async archiveProject(name) {
+    const project = this.getProject(name);
+    if (!project) {
+      throw new Error(`Project ${name} not found`);
+    }
+    if (project.archived_at) {
+      throw new Error(`Project ${name} is already archived (${project.archive_path})`);
+    }
+
+    const archivePath = path.join(config.getArchiveDir(), `${name}.tar.gz`);
+    const dumpPath = path.join(project.path, ARCHIVED_DUMP);
+
+    try {
+      await fs.ensureDir(config.getArchiveDir());
+      await this.withDatabase(project, () =>
+        new DatabaseManager().writeDump(name, dumpPath, { compress: true }));
+
+      const parentDir = path.dirname(project.path);
+      const dirName = path.basename(project.path);
+      await execa('tar', ['-czf', archivePath, '-C', parentDir, dirName]);
+      // Nothing is removed until the archive is known to hold the dump
+      await execa('tar', ['-tzf', archivePath, `${dirName}/${ARCHIVED_DUMP}`]);
+    } catch (error) {
+      await fs.remove(archivePath);
+      await fs.remove(dumpPath);
+      throw new Error(`Failed to archive project: ${error.message}`);
+    }
+
+    await this.dockerManager.removeContainers(name, { removeImages: true });
+    await this.dockerManager.removeDockerNetwork(name);
+    await fs.remove(project.path);
+
+    this.db.prepare('UPDATE projects SET archived_at = CURRENT_TIMESTAMP, archive_path = ?, active = 0 WHERE id = ?')
+      .run(archivePath, project.id);
+
+    const { size } = await fs.stat(archivePath);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `📦 Archived ${name} to ${archivePath} (${(size / 1024 / 1024).toFixed(2)} MB)\n` +
+                `Containers, database volume, image and project files were removed.\n` +
+                `Ports ${this.portManager.getProjectPorts(project).map(([, port]) => port).join(', ')} stay reserved.\n` +
+                `Restore it with wp_project_unarchive.`,
+        },
+      ],
+    };
+  }
+
+  /**
+   * Restore an archived project: extract its directory, move it to free
+   * ports if its old ones were taken meanwhile, start it and load the
+   * archived database
+   */
+  async unarchiveProject(name) {
+    const project = this.getProject(name);
+    if (!project) {
+      throw new Error(`Project ${name} not found`);
+    }
+    if (!project.archived_at) {
+      throw new Error(`Project ${name} is not archived`);
+    }
+    if (!await fs.pathExists(project.archive_path)) {
+      throw new Error(`Archive not found: ${project.archive_path}`);
+    }
+    if (await fs.pathExists(project.path)) {
+      throw new Error(`Directory ${project.path} already exists`);
+    }
+
+    let extracted = false;
+    try {
+      await execa('tar', ['-xzf', project.archive_path, '-C', path.dirname(project.path)]);
+      extracted = true;
+
+      // Ports may have been taken by something else while archived
+      const busy = [];
+      for (const [kind, port] of this.portManager.getProjectPorts(project)) {
+        if (!await this.portManager.isPortFree(port)) {
+          busy.push(kind);
+        }
+      }
+      const oldUrl = this.getSiteUrl(project);
+      const ports = await this.findReplacementPorts(project, busy);
+      if (busy.length > 0) {
+        await this.applyPorts(project, ports);
+      }
+      const newUrl = this.getSiteUrl({ port: ports.port, https_port: ports.httpsPort });
+
+      await this.dockerManager.startProject(name);
+      await this.waitForWordPress(ports.port);
+
+      const imported = await new DatabaseManager().importDatabase(name, ARCHIVED_DUMP, {
+        rewriteUrls: oldUrl !== newUrl,
+        sourceUrl: oldUrl,
+      });
+      await fs.remove(path.join(project.path, ARCHIVED_DUMP));
+
+      this.db.prepare('UPDATE projects SET archived_at = NULL, archive_path = NULL, last_accessed = CURRENT_TIMESTAMP WHERE id = ?')
+        .run(project.id);
+      await fs.remove(project.archive_path);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `✅ Restored ${name} (archived ${project.archived_at})\n` +
+                  `🌐 URL: ${newUrl}\n` +
+                  (busy.length > 0 ? `🔀 Moved to free ports (${busy.join(', ')} port was in use)\n` : '') +
+                  `🗄️ Database restored` +
+                  imported.content[0].text.split('\n').slice(1).map(line => `\n  ${line}`).join(''),
+          },
+        ],
+      };
+    } catch (error) {
+      // The archive is kept, so the project can be unarchived again
+      if (extracted) {
+        await this.dockerManager.removeContainers(name).catch(() => {});
+        await fs.remove(project.path);
+      }
+      throw new Error(`Failed to unarchive project: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stop running projects whose last_accessed is older than `idleMinutes`
+   * (default: the idleStopMinutes setting)
+   */
+  async stopIdleProjects(options = {}) {
+    const { idleMinutes = config.get('idleStopMinutes'), dryRun = false } = options;
+    if (!idleMinutes) {
+      throw new Error('Idle auto-stop is disabled; pass idleMinutes or set idleStopMinutes in the config');
+    }
+
+    const idle = await this.stopIdle(idleMinutes, dryRun);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: idle.length === 0
+            ? `No running project has been idle for more than ${idleMinutes} minutes`
+            : `${dryRun ? 'Would stop' : 'Stopped'} ${idle.length} idle project(s):\n` +
+              idle.map(p => `• ${p.name} (idle ${p.idleMinutes} minutes)`).join('\n'),
+        },
+      ],
+    };
+  }
+
+  async stopIdle(idleMinutes, dryRun = false) {
+    const cutoff = Date.now() - idleMinutes * 60 * 1000;
+    const idle = [];
+
+    for (const project of this.db.prepare('SELECT * FROM projects WHERE archived_at IS NULL').all()) {
+      // SQLite CURRENT_TIMESTAMP is UTC without a zone. Legacy and adopted
+      // rows may have no last_accessed; without any timestamp, skip the row.
+      const since = project.last_accessed ?? project.created_at;
+      const lastAccessed = since ? Date.parse(`${since.replace(' ', 'T')}Z`) : NaN;
+      if (Number.isNaN(lastAccessed) || lastAccessed >= cutoff) {
+        continue;
+      }
+      const status = await this.dockerManager.getContainerStatus(project.name).catch(() => 'unknown');
+      if (!UP_STATUSES.has(status)) {
+        continue;
+      }
+      if (!dryRun) {
+        await this.dockerManager.stopProject(project.name);
+      }
+      idle.push({ name: project.name, idleMinutes: Math.round((Date.now() - lastAccessed) / 60000) });
+    }
+
+    return idle;
+  }
+
+  /**
+   * Periodically stop idle projects when idleStopMinutes is set. The timer
+   * does not keep the process alive. Returns it, or null when disabled.
+   */
+  startIdleMonitor() {
+    const idleMinutes = config.get('idleStopMinutes');
+    if (!idleMinutes) {
+      return null;
+    }
+
+    // Check at a tenth of the idle time, between one and fifteen minutes
+    const interval = Math.min(Math.max(idleMinutes / 10, 1), 15) * 60 * 1000;
+    const timer = setInterval(() => {
+      this.stopIdle(idleMinutes)
+        .then(stopped => stopped.forEach(p => console.error(`Stopped idle project ${p.name} (idle ${p.idleMinutes} minutes)`)))
+        .catch(error => console.error(`Idle auto-stop failed: ${error.message}`));
+    }, interval);
+    timer.unref();
+    return timer;
+  }
+
+  /**
+   * Validate requested app and database ports, or allocate free ones.
+   * Ports claimed by registered projects are never handed out, even when
+   * those projects are stopped.
+   */
+  async allocatePorts(port = null, dbPort = null) {
+    const projects = this.db.prepare('SELECT * FROM projects').all();
+    const reserved = this.portManager.getReservedPorts(projects);
+
+    const checkRequested = async (requested) => {
+      const owner = projects.find(p => p.port === requested || this.portManager.getDbPort(p) === requested);
+      if (owner) {
+        throw new Error(`Port ${requested} is already in use by project ${owner.name}`);
+      }
+      if (!await this.portManager.isPortFree(requested)) {
+        throw new Error(`Port ${requested} is already in use on this host`);
+      }
+    };
+
+    if (port) {
+      await checkRequested(port);
+    } else {
+      port = await this.portManager.findFreePort(DEFAULT_APP_PORT, reserved);
+    }
+    reserved.add(port);
+
+    if (dbPort) {
+      if (dbPort === port) {
+        throw new Error('The database port must differ from the app port');
+      }
+      await checkRequested(dbPort);
+    } else {
+      dbPort = await this.portManager.findFreePort(port + DB_PORT_OFFSET, reserved);
+    }
+
+    return { port, dbPort };
+  }
+
+  /**
+   * Report port conflicts across all registered projects: ports claimed
+   * twice in the registry, and ports of stopped projects that something
+   * else on the host is listening on. With `repair`, conflicting projects
+   * get new ports (compose file, .env and site URL are updated).
+   */
+  async checkPorts(options = {}) {
+    const { repair = false } = options;
+    const projects = this.db.prepare('SELECT * FROM projects ORDER BY id').all();
+
+    for (const project of projects) {
+      project.status = project.archived_at
+        ? 'archived'
+        : await this.dockerManager.getContainerStatus(project.name).catch(() => 'unknown');
+      project.db_port = this.portManager.getDbPort(project);
+    }
+
+    // A running project owns its ports; otherwise the oldest claim wins
+    const claimants = new Map();
+    const ordered = [...projects].sort((a, b) => UP_STATUSES.has(b.status) - UP_STATUSES.has(a.status));
+    for (const project of ordered) {
+      for (const [kind, port] of this.portManager.getProjectPorts(project)) {
+        claimants.set(port, [...(claimants.get(port) || []), { project, kind }]);
+      }
+    }
+
+    // Archived projects are checked again when unarchived
+    const conflicts = [];
+    for (const project of projects.filter(p => !p.archived_at)) {
+      for (const [kind, port] of this.portManager.getProjectPorts(project)) {
+        const owner = claimants.get(port)[0];
+        if (owner.project !== project || owner.kind !== kind) {
+          conflicts.push({ project, kind, port, reason: `also claimed by ${owner.project.name} (${owner.kind})` });
+        } else if (!UP_STATUSES.has(project.status) && !await this.portManager.isPortFree(port)) {
+          conflicts.push({ project, kind, port, reason: 'in use by another process on this host' });
+        }
+      }
+    }
+
+    let text = `Project ports:\n` + (projects.map(p => {
+      const note = (kind) => conflicts
+        .filter(c => c.project === p && c.kind === kind)
+        .map(c => ` ⚠️ ${c.reason}`).join('');
+      return `• ${p.name}: app ${p.port}${note('app')}, db ${p.db_port}${note('db')}` +
+        (p.https_port ? `, https ${p.https_port}${note('https')}` : '') + ` (${p.status})`;
+    }).join('\n') || 'No projects registered');
+
+    if (conflicts.length === 0) {
+      text += `\n\n✅ No port conflicts`;
+    } else if (!repair) {
+      text += `\n\n${conflicts.length} conflict(s). Run wp_project_ports with repair: true to reassign them.`;
+    } else {
+      text += `\n\nRepaired:\n`;
+      for (const project of new Set(conflicts.map(c => c.project))) {
+        const kinds = conflicts.filter(c => c.project === project).map(c => c.kind);
+        text += await this.reassignPorts(project, kinds) + '\n';
+      }
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text,
+        },
+      ],
+    };
+  }
+
+  /**
+   * Move a project to free ports for the given kinds ('app', 'db',
+   * 'https') and rewrite its site URL if that changed. Returns a summary
+   * line.
+   */
+  async reassignPorts(project, kinds) {
+    const { port, dbPort, httpsPort } = await this.findReplacementPorts(project, kinds);
+    await this.applyPorts(project, { port, dbPort, httpsPort });
+
+    let line = `• ${project.name}: ` + [
+      port !== project.port ? `app ${project.port} → ${port}` : null,
+      dbPort !== project.db_port ? `db ${project.db_port} → ${dbPort}` : null,
+      httpsPort !== project.https_port ? `https ${project.https_port} → ${httpsPort}` : null,
+    ].filter(Boolean).join(', ');
+
+    // Containers pick up new ports only when recreated; the site URL lives
+    // in the database, so a stopped project is started briefly to rewrite it
+    const running = UP_STATUSES.has(project.status);
+    const oldUrl = this.getSiteUrl(project);
+    const newUrl = this.getSiteUrl({ port, https_port: httpsPort });
+    if (running || oldUrl !== newUrl) {
+      try {
+        await this.dockerManager.startProject(project.name);
+        if (oldUrl !== newUrl) {
+          await this.waitForWordPress(port);
+          const databaseManager = new DatabaseManager();
+          await databaseManager.rewriteSiteUrl(project.name, oldUrl, newUrl);
+          line += ' (site URL rewritten)';
+        }
+      } catch (error) {
+        line += `\n  ⚠️ Could not update the running site: ${error.message}`;
+      } finally {
+        if (!running) {
+          await this.dockerManager.stopProject(project.name).catch(() => {});
+        }
+      }
+    }
+
+    return line;
+  }
+
+  /**
+   * Free ports for the given kinds ('app', 'db', 'https'), keeping the
+   * project's current ports for the others
+   */
+  async findReplacementPorts(project, kinds) {
+    const reserved = this.portManager.getReservedPorts(this.db.prepare('SELECT * FROM projects').all(), project.name);
+    const port = kinds.includes('app')
+      ? await this.portManager.findFreePort(DEFAULT_APP_PORT, reserved)
+      : project.port;
+    reserved.add(port);
+    const dbPort = kinds.includes('db')
+      ? await this.portManager.findFreePort(port + DB_PORT_OFFSET, reserved)
+      : this.portManager.getDbPort(project);
+    reserved.add(dbPort);
+    const httpsPort = kinds.includes('https')
+      ? await this.portManager.findFreePort(DEFAULT_HTTPS_PORT, reserved)
+      : project.https_port;
+    return { port, dbPort, httpsPort };
+  }
+
+  /**
+   * Record new ports in the registry, .env and docker-compose.yml; the
+   * containers pick them up when next started
+   */
+  async applyPorts(project, { port, dbPort, httpsPort }) {
+    this.db.prepare('UPDATE projects SET port = ?, db_port = ?, https_port = ? WHERE id = ?')
+      .run(port, dbPort, httpsPort, project.id);
+    await credentials.setEnv(project.name, {
+      WORDPRESS_PORT: port,
+      DB_PORT: dbPort,
+      ...(httpsPort ? { HTTPS_PORT: httpsPort } : {}),
+    });
+    await this.writeDockerCompose(project.path, project.name, port, dbPort, { httpsPort });
+  }
+
+  /**
+   * Canonical local URL of a project: HTTPS when enabled
+   */
+  getSiteUrl(project) {
+    return project.https_port
+      ? `https://localhost:${project.https_port}`
+      : `http://localhost:${project.port}`;
+  }
+
+  async createDockerFiles(projectPath, projectName, port, options = {}) {
+    const { phpVersion = DEFAULT_PHP_VERSION, dbPort = port + DB_PORT_OFFSET } = options;
+
+    await this.writeDockerfile(projectPath, phpVersion);
+    await this.writeDockerCompose(projectPath, projectName, port, dbPort);
+  }
+
+  async writeDockerfile(projectPath, phpVersion, options = {}) {
+    const { https = false } = options;
+
     const dockerfile = `FROM ubuntu:22.04
 
 ENV DEBIAN_FRONTEND=noninteractive
@@ -233,22 +1289,22 @@ RUN apt-get update && apt-get install -y \\
     && add-apt-repository ppa:ondrej/php \\
     && apt-get update && apt-get install -y \\
     apache2 \\
-    php8.3 \\
-    php8.3-cli \\
-    php8.3-common \\
-    php8.3-mysql \\
-    php8.3-xml \\
-    php8.3-xmlrpc \\
-    php8.3-curl \\
-    php8.3-gd \\
-    php8.3-imagick \\
-    php8.3-mbstring \\
-    php8.3-zip \\
-    php8.3-intl \\
-    php8.3-bz2 \\
-    php8.3-bcmath \\
-    php8.3-soap \\
-    libapache2-mod-php8.3 \\
+    php${phpVersion} \\
+    php${phpVersion}-cli \\
+    php${phpVersion}-common \\
+    php${phpVersion}-mysql \\
+    php${phpVersion}-xml \\
+    php${phpVersion}-xmlrpc \\
+    php${phpVersion}-curl \\
+    php${phpVersion}-gd \\
+    php${phpVersion}-imagick \\
+    php${phpVersion}-mbstring \\
+    php${phpVersion}-zip \\
+    php${phpVersion}-intl \\
+    php${phpVersion}-bz2 \\
+    php${phpVersion}-bcmath \\
+    php${phpVersion}-soap \\
+    libapache2-mod-php${phpVersion} \\
     curl \\
     && rm -rf /var/lib/apt/lists/*
 
@@ -259,10 +1315,10 @@ RUN a2enmod rewrite headers expires
 RUN echo "ServerName localhost" >> /etc/apache2/apache2.conf
 
 # Configure PHP
-RUN echo "memory_limit = 256M" >> /etc/php/8.3/apache2/php.ini \\
-    && echo "upload_max_filesize = 64M" >> /etc/php/8.3/apache2/php.ini \\
-    && echo "post_max_size = 64M" >> /etc/php/8.3/apache2/php.ini \\
-    && echo "max_execution_time = 300" >> /etc/php/8.3/apache2/php.ini
+RUN echo "memory_limit = 256M" >> /etc/php/${phpVersion}/apache2/php.ini \\
+    && echo "upload_max_filesize = 64M" >> /etc/php/${phpVersion}/apache2/php.ini \\
+    && echo "post_max_size = 64M" >> /etc/php/${phpVersion}/apache2/php.ini \\
+    && echo "max_execution_time = 300" >> /etc/php/${phpVersion}/apache2/php.ini
 
 # Install WP-CLI
 RUN curl -O https://raw.githubusercontent.com/wp-cli/builds/gh-pages/phar/wp-cli.phar \\
@@ -281,60 +1337,104 @@ RUN echo '<VirtualHost *:80>\\n\\
         Require all granted\\n\\
     </Directory>\\n\\
 </VirtualHost>' > /etc/apache2/sites-available/000-default.conf
-
-EXPOSE 80
+${https ? `
+# Serve HTTPS with the local-CA certificate mounted at /etc/apache2/ssl
+RUN a2enmod ssl \\
+    && echo '<VirtualHost *:443>\\n\\
+    DocumentRoot /var/www/html\\n\\
+    SSLEngine on\\n\\
+    SSLCertificateFile /etc/apache2/ssl/cert.pem\\n\\
+    SSLCertificateKeyFile /etc/apache2/ssl/key.pem\\n\\
+    <Directory /var/www/html>\\n\\
+        Options Indexes FollowSymLinks\\n\\
+        AllowOverride All\\n\\
+        Require all granted\\n\\
+    </Directory>\\n\\
+</VirtualHost>' > /etc/apache2/sites-available/default-ssl.conf \\
+    && a2ensite default-ssl
+` : ''}
+EXPOSE 80${https ? ' 443' : ''}
 
 CMD ["apache2ctl", "-D", "FOREGROUND"]`;
 
     await fs.writeFile(path.join(projectPath, 'Dockerfile'), dockerfile);
+  }
 
-    // Create docker-compose.yml
+  /**
+   * Write docker-compose.yml. Machine-specific values come from .env, so
+   * the file can be committed; with HTTPS the certificate directory is
+   * recorded there as CERT_DIR.
+   */
+  async writeDockerCompose(projectPath, projectName, port, dbPort = port + DB_PORT_OFFSET, options = {}) {
+    const { httpsPort = null } = options;
+    if (httpsPort) {
+      await credentials.setEnv(projectName, { CERT_DIR: this.certificateManager.getProjectCertDir(projectName) });
+    }
+    const appContainer = config.getContainerName(projectName, 'app');
+    const dbContainer = config.getContainerName(projectName, 'db');
+    const networkName = config.getNetworkName(projectName);
+    const volumeName = config.getVolumeName(projectName);
     const dockerCompose = `version: '3.8'
 
 services:
   wordpress:
     build: .
-    container_name: wp-${projectName}-app
+    container_name: ${appContainer}
     ports:
-      - "${port}:80"
+      - "${port}:80"${httpsPort ? `
+      - "${httpsPort}:443"` : ''}
     volumes:
-      - .:/var/www/html
+      - .:/var/www/html${httpsPort ? `
+      - \${CERT_DIR:?run wp_enable_https to issue this machine a certificate}:/etc/apache2/ssl:ro` : ''}
     environment:
       WORDPRESS_DB_HOST: db:3306
-      WORDPRESS_DB_NAME: wordpress
-      WORDPRESS_DB_USER: wordpress
-      WORDPRESS_DB_PASSWORD: wordpress
+      WORDPRESS_DB_NAME: \${DB_NAME}
+      WORDPRESS_DB_USER: \${DB_USER}
+      WORDPRESS_DB_PASSWORD: \${DB_PASSWORD}
     depends_on:
       - db
+    healthcheck:
+      test: ["CMD", "curl", "-fsS", "-o", "/dev/null", "http://localhost/wp-includes/images/blank.gif"]
+      interval: 30s
+      timeout: 5s
+      retries: 3
+      start_period: 30s
     networks:
-      - wp-${projectName}-network
+      - ${networkName}
 
   db:
     image: mysql:8.0
-    container_name: wp-${projectName}-db
+    container_name: ${dbContainer}
     environment:
-      MYSQL_ROOT_PASSWORD: root
-      MYSQL_DATABASE: wordpress
-      MYSQL_USER: wordpress
-      MYSQL_PASSWORD: wordpress
+      MYSQL_ROOT_PASSWORD: \${DB_ROOT_PASSWORD}
+      MYSQL_DATABASE: \${DB_NAME}
+      MYSQL_USER: \${DB_USER}
+      MYSQL_PASSWORD: \${DB_PASSWORD}
     volumes:
-      - wp-${projectName}-db:/var/lib/mysql
+      - ${volumeName}:/var/lib/mysql
     ports:
-      - "${port + 1000}:3306"
+      - "${dbPort}:3306"
+    healthcheck:
+      test: ["CMD-SHELL", 'mysqladmin ping -h 127.0.0.1 -u root -p"$$MYSQL_ROOT_PASSWORD" --silent']
+      interval: 10s
+      timeout: 5s
+      retries: 5
+      start_period: 30s
     networks:
-      - wp-${projectName}-network
+      - ${networkName}
 
 volumes:
-  wp-${projectName}-db:
+  ${volumeName}:
 
 networks:
-  wp-${projectName}-network:
+  ${networkName}:
     driver: bridge`;
 
     await fs.writeFile(path.join(projectPath, 'docker-compose.yml'), dockerCompose);
   }
 
-  async createWordPressConfig(projectPath) {
+  async createWordPressConfig(projectPath, options = {}) {
+    const { tablePrefix = 'wp_' } = options;
     const wpConfig = `<?php
 /**
  * WordPress Configuration
@@ -367,7 +1467,7 @@ define('SECURE_AUTH_SALT', 'put your unique phrase here');
 define('LOGGED_IN_SALT',   'put your unique phrase here');
 define('NONCE_SALT',       'put your unique phrase here');
 
-$table_prefix = 'wp_';
+$table_prefix = '${tablePrefix}';
 
 define('WP_DEBUG', false);
 
@@ -378,19 +1478,22 @@ if (!defined('ABSPATH')) {
 require_once ABSPATH . 'wp-settings.php';`;
 
     await fs.writeFile(path.join(projectPath, 'wp-config.php'), wpConfig);
+    await this.createLocalWordPressConfig(projectPath);
+  }
 
-    // Create local config
+  async createLocalWordPressConfig(projectPath) {
     const wpConfigLocal = `<?php
-// Local development database settings
-define('DB_NAME', 'wordpress');
-define('DB_USER', 'wordpress');
-define('DB_PASSWORD', 'wordpress');
+// Local development database settings (set from the project .env by docker-compose)
+define('DB_NAME', getenv('WORDPRESS_DB_NAME') ?: 'wordpress');
+define('DB_USER', getenv('WORDPRESS_DB_USER') ?: 'wordpress');
+define('DB_PASSWORD', getenv('WORDPRESS_DB_PASSWORD') ?: 'wordpress');
 define('DB_HOST', 'db:3306');
 
 // Development settings
 define('WP_DEBUG', true);
 define('WP_DEBUG_LOG', true);
-define('WP_DEBUG_DISPLAY', false);`;
+define('WP_DEBUG_DISPLAY', false);
+`;
 
     await fs.writeFile(path.join(projectPath, 'wp-config-local.php'), wpConfigLocal);
   }
@@ -442,6 +1545,207 @@ node_modules/
     await fs.writeFile(path.join(projectPath, '.gitignore'), gitignore);
   }
 
+  /**
+   * Turn "latest" into the concrete release number, so the project records
+   * which version it was created with (the newest cached one when offline)
+   */
+  async resolveWordPressVersion(version) {
+    if (version !== 'latest' && !/^\d+\.\d+(\.\d+)?$/.test(version)) {
+      throw new Error(`Invalid WordPress version: ${version} (expected e.g. 6.8.1 or "latest")`);
+    }
+    return this.packageCache.resolveVersion('core', 'wordpress', version);
+  }
+
+  validatePhpVersion(phpVersion) {
+    if (!SUPPORTED_PHP_VERSIONS.includes(phpVersion)) {
+      throw new Error(`Unsupported PHP version: ${phpVersion} (supported: ${SUPPORTED_PHP_VERSIONS.join(', ')})`);
+    }
+  }
+
+  /**
+   * Refuse PHP versions older than the installed WordPress requires
+   */
+  async checkPhpCompatibility(projectPath, phpVersion) {
+    const versionFile = path.join(projectPath, 'wp-includes', 'version.php');
+    if (!await fs.pathExists(versionFile)) {
+      return;
+    }
+
+    const source = await fs.readFile(versionFile, 'utf-8');
+    const required = source.match(/\$required_php_version\s*=\s*'([^']+)'/)?.[1];
+    const wordpress = source.match(/\$wp_version\s*=\s*'([^']+)'/)?.[1];
+    const [major, minor] = phpVersion.split('.').map(Number);
+    const [requiredMajor, requiredMinor] = (required || '0.0').split('.').map(Number);
+
+    if (major < requiredMajor || (major === requiredMajor && minor < requiredMinor)) {
+      throw new Error(`WordPress ${wordpress} requires PHP ${required} or newer, not ${phpVersion}`);
+    }
+  }
+
+  /**
+   * WordPress version of the core files in a project directory
+   */
+  async getWordPressVersion(projectPath) {
+    const source = await fs.readFile(path.join(projectPath, 'wp-includes', 'version.php'), 'utf-8').catch(() => '');
+    return source.match(/\$wp_version\s*=\s*'([^']+)'/)?.[1] || null;
+  }
+
+  /**
+   * PHP version a project's Dockerfile installs
+   */
+  async getPhpVersion(projectPath) {
+    const dockerfile = await fs.readFile(path.join(projectPath, 'Dockerfile'), 'utf-8').catch(() => '');
+    return dockerfile.match(/libapache2-mod-php(\d+\.\d+)/)?.[1] || null;
+  }
+
+  /**
+   * Switch an existing project to another PHP version: regenerate the
+   * Dockerfile and rebuild the WordPress container. The previous
+   * Dockerfile is put back if the build fails.
+   */
+  async upgradeStack(name, options = {}) {
+    const { phpVersion } = options;
+    const project = this.getProject(name);
+    if (!project) {
+      throw new Error(`Project ${name} not found`);
+    }
+
+    this.validatePhpVersion(String(phpVersion));
+    const dockerfilePath = path.join(project.path, 'Dockerfile');
+    const previousDockerfile = await fs.readFile(dockerfilePath, 'utf-8');
+    const previousPhp = await this.getPhpVersion(project.path);
+
+    if (previousPhp === String(phpVersion)) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `${name} already runs PHP ${phpVersion}`,
+          },
+        ],
+      };
+    }
+
+    await this.checkPhpCompatibility(project.path, String(phpVersion));
+
+    try {
+      await this.writeDockerfile(project.path, String(phpVersion), { https: Boolean(project.https_port) });
+      await this.dockerManager.rebuildProject(name);
+    } catch (error) {
+      await fs.writeFile(dockerfilePath, previousDockerfile);
+      throw new Error(`Failed to upgrade stack: ${error.message}\nThe previous Dockerfile (PHP ${previousPhp || 'unknown'}) was restored`);
+    }
+
+    const { stdout: running } = await execa('docker', [
+      'exec',
+      config.getContainerName(name, 'app'),
+      'php',
+      '-r',
+      'echo PHP_VERSION;',
+    ]).catch(() => ({ stdout: 'unknown' }));
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `✅ ${name} switched from PHP ${previousPhp || 'unknown'} to PHP ${phpVersion}\n` +
+                `Running: PHP ${running}\n` +
+                `Commit the regenerated Dockerfile to keep the change.`,
+        },
+      ],
+    };
+  }
+
+  /**
+   * Serve a project over HTTPS with a certificate from the local CA, or
+   * turn HTTPS off again: regenerates the Dockerfile and compose file,
+   * rebuilds the app container and rewrites siteurl/home to match
+   */
+  async setHttps(name, options = {}) {
+    const { enabled = true } = options;
+    const project = this.getProject(name);
+    if (!project) {
+      throw new Error(`Project ${name} not found`);
+    }
+
+    if (enabled === Boolean(project.https_port)) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: enabled
+              ? `HTTPS is already enabled for ${name}: ${this.getSiteUrl(project)}`
+              : `HTTPS is not enabled for ${name}`,
+          },
+        ],
+      };
+    }
+
+    const dockerfilePath = path.join(project.path, 'Dockerfile');
+    const composePath = path.join(project.path, 'docker-compose.yml');
+    const previous = {
+      dockerfile: await fs.readFile(dockerfilePath, 'utf-8'),
+      compose: await fs.readFile(composePath, 'utf-8'),
+    };
+    const phpVersion = await this.getPhpVersion(project.path) || DEFAULT_PHP_VERSION;
+    const dbPort = this.portManager.getDbPort(project);
+
+    let certificate = null;
+    let httpsPort = null;
+
+    try {
+      if (enabled) {
+        certificate = await this.certificateManager.issueCertificate(name);
+        const reserved = this.portManager.getReservedPorts(this.db.prepare('SELECT * FROM projects').all());
+        httpsPort = await this.portManager.findFreePort(DEFAULT_HTTPS_PORT, reserved);
+      }
+
+      await this.writeDockerfile(project.path, phpVersion, { https: enabled });
+      await this.writeDockerCompose(project.path, name, project.port, dbPort, { httpsPort });
+      await this.dockerManager.rebuildProject(name);
+    } catch (error) {
+      await fs.writeFile(dockerfilePath, previous.dockerfile);
+      await fs.writeFile(composePath, previous.compose);
+      throw new Error(`Failed to ${enabled ? 'enable' : 'disable'} HTTPS: ${error.message}`);
+    }
+
+    this.db.prepare('UPDATE projects SET https_port = ? WHERE id = ?').run(httpsPort, project.id);
+    await credentials.setEnv(name, { HTTPS_PORT: httpsPort });
+    if (!enabled) {
+      await this.certificateManager.removeCertificate(name);
+    }
+
+    const oldUrl = this.getSiteUrl(project);
+    const newUrl = this.getSiteUrl({ port: project.port, https_port: httpsPort });
+    let urlNote;
+    try {
+      await this.waitForWordPress(project.port);
+      const rows = await new DatabaseManager().rewriteSiteUrl(name, oldUrl, newUrl);
+      urlNote = `Site URL rewritten from ${oldUrl} to ${newUrl} (${rows} rows)`;
+    } catch (error) {
+      urlNote = `⚠️ Could not rewrite the site URL from ${oldUrl} to ${newUrl}: ${error.message}`;
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: enabled
+            ? `🔒 HTTPS enabled for ${name}\n` +
+              `URL: ${newUrl} (http://localhost:${project.port} redirects to it)\n` +
+              `${urlNote}\n` +
+              `Certificate: ${certificate.certPath} (localhost, ${name}.localhost)\n\n` +
+              (certificate.caCreated ? `A local CA was created. ` : '') +
+              this.certificateManager.getTrustInstructions() + '\n\n' +
+              `Commit the regenerated Dockerfile and docker-compose.yml to keep the change.`
+            : `HTTPS disabled for ${name}\n` +
+              `URL: ${newUrl}\n` +
+              `${urlNote}`,
+        },
+      ],
+    };
+  }
+
   async waitForWordPress(port, maxAttempts = 30) {
     for (let i = 0; i < maxAttempts; i++) {
       try {
@@ -0,0 +1,331 @@
+/**
+ * Registry Manager
+ * Owns projects.db: the shared connection, its versioned schema
+ * migrations (tracked in PRAGMA user_version) and the registry doctor that
+ * reconciles rows with project directories and Docker containers.
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import { execa } from 'execa';
+import Database from 'better-sqlite3';
+import { config } from './config-manager.js';
+
+/**
+ * Schema migrations, applied in order to registries below their version.
+ * Append new ones; never edit or reorder released entries. Registries
+ * created before versioning may already have some columns, so additions
+ * are guarded.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create projects and migrations tables',
+    up(db, { addColumn }) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS projects (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT UNIQUE NOT NULL,
+          path TEXT NOT NULL,
+          port INTEGER NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          last_accessed DATETIME DEFAULT CURRENT_TIMESTAMP,
+          git_remote TEXT,
+          active BOOLEAN DEFAULT 0,
+          project_type TEXT DEFAULT 'wordpress',
+          docker_compose_path TEXT,
+          status TEXT DEFAULT 'inactive'
+        )
+      `);
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS migrations (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          project_id INTEGER NOT NULL,
+          filename TEXT NOT NULL,
+          applied_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          checksum TEXT,
+          FOREIGN KEY (project_id) REFERENCES projects(id)
+        )
+      `);
+    },
+  },
+  {
+    version: 2,
+    description: 'Add SiteGround connection columns',
+    up(db, { addColumn }) {
+      addColumn('projects', 'siteground_ssh_host', 'TEXT');
+      addColumn('projects', 'siteground_ssh_user', 'TEXT');
+      addColumn('projects', 'siteground_repo_path', 'TEXT');
+      addColumn('projects', 'siteground_site_url', 'TEXT');
+      addColumn('projects', 'siteground_deployment_branch', "TEXT DEFAULT 'master'");
+      addColumn('projects', 'siteground_staging_branch', "TEXT DEFAULT 'staging'");
+    },
+  },
+  {
+    version: 3,
+    description: 'Add database port column',
+    up(db, { addColumn }) {
+      addColumn('projects', 'db_port', 'INTEGER');
+    },
+  },
+  {
+    version: 4,
+    description: 'Add HTTPS port column',
+    up(db, { addColumn }) {
+      addColumn('projects', 'https_port', 'INTEGER');
+    },
+  },
+  {
+    version: 5,
+    description: 'Add client, tags, notes and custom metadata columns',
+    up(db, { addColumn }) {
+      addColumn('projects', 'client', 'TEXT');
+      // JSON array of tags and JSON object of custom key/values
+      addColumn('projects', 'tags', "TEXT DEFAULT '[]'");
+      addColumn('projects', 'notes', 'TEXT');
+      addColumn('projects', 'meta', "TEXT DEFAULT '{}'");
+    },
+  },
+  {
+    version: 6,
+    description: 'Add archive columns',
+    up(db, { addColumn }) {
+      addColumn('projects', 'archived_at', 'DATETIME');
+      addColumn('projects', 'archive_path', 'TEXT');
+    },
+  },
+  {
+    version: 7,
+    description: 'Add migration message column',
+    up(db, { addColumn }) {
+      addColumn('migrations', 'message', 'TEXT');
+    },
+  },
+];
+
+export const REGISTRY_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Top-level entries of the projects directory that are never projects
+const RESERVED_DIRS = new Set(['exports', 'blueprints']);
+
+export class RegistryManager {
+  constructor() {
+    this.connection = null;
+  }
+
+  /**
+   * Shared connection to projects.db, migrated to the current schema on
+   * first use
+   */
+  get db() {
+    if (!this.connection) {
+      const dbPath = config.getRegistryDbPath();
+      fs.ensureDirSync(path.dirname(dbPath));
+      this.connection = new Database(dbPath);
+      this.migrate(this.connection);
+    }
+    return this.connection;
+  }
+
+  /**
+   * Apply pending schema migrations, each in its own transaction. Returns
+   * the migrations applied.
+   */
+  migrate(db) {
+    const current = db.pragma('user_version', { simple: true });
+    if (current > REGISTRY_SCHEMA_VERSION) {
+      throw new Error(`Registry ${config.getRegistryDbPath()} has schema version ${current}, ` +
+        `newer than this server supports (${REGISTRY_SCHEMA_VERSION})`);
+    }
+
+    const addColumn = (table, column, definition) => {
+      const columns = db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+      if (!columns.includes(column)) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      }
+    };
+
+    const applied = [];
+    for (const migration of MIGRATIONS.filter(m => m.version > current)) {
+      db.transaction(() => {
+        migration.up(db, { addColumn });
+        db.pragma(`user_version = ${migration.version}`);
+      })();
+      applied.push(migration);
+    }
+    return applied;
+  }
+
+  getSchemaVersion() {
+    return this.db.pragma('user_version', { simple: true });
+  }
+
+  /**
+   * Reconcile the registry with the projects directory and Docker: rows
+   * whose directory is gone, project directories with no row, containers
+   * of unregistered projects and ledger rows of deleted projects. With
+   * `repair`, moved projects get their new path, orphan containers are
+   * removed and unregistered projects with a docker-compose.yml and .env
+   * are registered. A row whose directory is missing may only be an
+   * unmounted drive, so it is removed only when named in `remove`.
+   * Docker volumes are never removed.
+   */
+  async doctor(options = {}) {
+    const { repair = false, remove = [] } = options;
+    if (!Array.isArray(remove) || remove.some(name => typeof name !== 'string')) {
+      throw new Error('remove must be a list of project names');
+    }
+    const projectsDir = config.getProjectsDir();
+    const projectsDirMissing = !await fs.pathExists(projectsDir);
+    const projects = this.db.prepare('SELECT * FROM projects ORDER BY name').all();
+    const names = new Set(projects.map(p => p.name));
+    const findings = [];
+
+    // Rows whose project directory is gone
+    for (const project of projects) {
+      if (project.archived_at) {
+        if (!await fs.pathExists(project.archive_path)) {
+          findings.push({
+            issue: `${project.name}: archived, but ${project.archive_path} is missing`,
+            fix: null,
+            hint: 'restore the archive file or delete the project',
+          });
+        }
+        continue;
+      }
+      if (!await fs.pathExists(project.path)) {
+        const expected = path.join(projectsDir, project.name);
+        if (expected !== project.path && await fs.pathExists(expected)) {
+          findings.push({
+            issue: `${project.name}: registered at ${project.path}, found at ${expected}`,
+            fix: () => {
+              this.db.prepare('UPDATE projects SET path = ? WHERE id = ?').run(expected, project.id);
+              return `updated path of ${project.name}`;
+            },
+          });
+        } else {
+          findings.push({
+            issue: `${project.name}: directory ${project.path} is missing`,
+            fix: remove.includes(project.name)
+              ? () => {
+                this.deleteProjectRow(project.id);
+                return `removed registry row for ${project.name}`;
+              }
+              : null,
+            hint: projectsDirMissing
+              ? `${projectsDir} itself is missing; mount it again`
+              : `if it is gone for good, pass remove: ["${project.name}"] to delete the row`,
+          });
+        }
+      }
+    }
+
+    // Project directories with no row
+    const entries = await fs.readdir(projectsDir, { withFileTypes: true }).catch(() => []);
+    for (const entry of entries) {
+      if (!entry.isDirectory() || entry.name.startsWith('.') || RESERVED_DIRS.has(entry.name) || names.has(entry.name)) {
+        continue;
+      }
+      const dir = path.join(projectsDir, entry.name);
+      if (!await fs.pathExists(path.join(dir, 'docker-compose.yml'))) {
+        continue;
+      }
+      const env = await fs.readFile(path.join(dir, '.env'), 'utf-8').catch(() => '');
+      const port = parseInt(env.match(/^WORDPRESS_PORT=(\d+)/m)?.[1], 10);
+      const dbPort = parseInt(env.match(/^DB_PORT=(\d+)/m)?.[1], 10) || null;
+      findings.push({
+        issue: `${entry.name}: project directory is not registered`,
+        fix: port && /^[a-z0-9-]+$/.test(entry.name)
+          ? () => {
+            this.db.prepare('INSERT INTO projects (name, path, port, db_port, active) VALUES (?, ?, ?, ?, 0)')
+              .run(entry.name, dir, port, dbPort);
+            names.add(entry.name);
+            return `registered ${entry.name} on port ${port}`;
+          }
+          : null,
+        hint: port ? null : 'no WORDPRESS_PORT in .env; use wp_adopt_project',
+      });
+    }
+
+    // Migration ledger rows of deleted projects
+    const orphanLedger = this.db.prepare('SELECT COUNT(*) AS count FROM migrations WHERE project_id NOT IN (SELECT id FROM projects)').get().count;
+    if (orphanLedger > 0) {
+      findings.push({
+        issue: `${orphanLedger} migration ledger row(s) belong to deleted projects`,
+        fix: () => {
+          this.db.prepare('DELETE FROM migrations WHERE project_id NOT IN (SELECT id FROM projects)').run();
+          return `removed ${orphanLedger} orphan ledger row(s)`;
+        },
+      });
+    }
+
+    // Containers of projects that are not registered
+    let dockerNote = null;
+    try {
+      const prefix = `${config.get('containerPrefix')}-`;
+      const { stdout } = await execa('docker', ['ps', '-a', '--filter', `name=^${prefix}`, '--format', '{{.Names}}']);
+      for (const container of stdout.split('\n').filter(Boolean)) {
+        const match = container.slice(prefix.length).match(/^(.+)-(app|db)$/);
+        if (!match || names.has(match[1])) {
+          continue;
+        }
+        findings.push({
+          issue: `container ${container} has no registered project`,
+          fix: async () => {
+            await execa('docker', ['rm', '-f', container]);
+            return `removed container ${container} (its volume is kept)`;
+          },
+        });
+      }
+    } catch (error) {
+      dockerNote = 'Docker is not available; containers were not checked';
+    }
+
+    let text = `Registry: ${config.getRegistryDbPath()} (schema version ${this.getSchemaVersion()})\n` +
+               `Projects: ${projects.length} registered\n`;
+    if (dockerNote) {
+      text += `⚠️ ${dockerNote}\n`;
+    }
+
+    if (findings.length === 0) {
+      text += `\n✅ Registry, project directories and containers agree`;
+    } else {
+      text += `\nFindings:\n` + findings.map(f =>
+        `• ${f.issue}${f.fix ? '' : ` (${f.hint || 'manual fix needed'})`}`).join('\n');
+
+      const fixable = findings.filter(f => f.fix).length;
+      if (fixable === 0) {
+        text += `\n\nNone of them can be repaired automatically.`;
+      } else if (!repair) {
+        text += `\n\nRun wp_registry_doctor with repair: true to fix ${fixable} of them.`;
+      } else {
+        text += `\n\nRepaired:\n`;
+        for (const finding of findings.filter(f => f.fix)) {
+          try {
+            text += `• ${await finding.fix()}\n`;
+          } catch (error) {
+            text += `• ⚠️ ${finding.issue}: ${error.message}\n`;
+          }
+        }
+      }
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text,
+        },
+      ],
+    };
+  }
+
+  deleteProjectRow(projectId) {
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM migrations WHERE project_id = ?').run(projectId);
+      this.db.prepare('DELETE FROM projects WHERE id = ?').run(projectId);
+    })();
+  }
+}
+
+export const registry = new RegistryManager();
@@ -3,12 +3,16 @@ import path from 'path';
 import fs from 'fs-extra';
 import { execa } from 'execa';
 import dotenv from 'dotenv';
+import { config } from './config-manager.js';
+import { credentials } from './credentials-manager.js';
+import { DatabaseManager } from './database-manager.js';
 
 dotenv.config();
 
 export class ResearchManager {
   constructor() {
-    this.projectsDir = '/Users/tyler-lcsw/projects/wp-projects';
+    this.projectsDir = config.getProjectsDir();
+    this.databaseManager = new DatabaseManager();
     this.jinaApiKey = process.env.JINA_API_KEY;
     this.unsplashApiKey = process.env.UNSPLASH_API_KEY;
   }
@@ -402,25 +406,29 @@ ${data}`;
       await fs.ensureDir(migrationsDir);
       
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const sqlFile = `import_${timestamp}.sql`;
-      await fs.writeFile(path.join(migrationsDir, sqlFile), sqlStatements.join('\n'));
+      const migrationNumber = await this.databaseManager.getNextMigrationNumber(migrationsDir);
+      const sqlFile = `${migrationNumber}_import_${timestamp}.sql`;
+      const sqlContent = sqlStatements.join('\n');
+      await fs.writeFile(path.join(migrationsDir, sqlFile), sqlContent);
 
       // Execute import
       if (sqlStatements.length > 0) {
+        const db = await credentials.get(projectName);
         await execa('docker', [
           'exec',
           '-i',
-          `wp-${projectName}-db`,
+          config.getContainerName(projectName, 'db'),
           'mysql',
-          '-u',
-          'wordpress',
-          '-pwordpress',
-          'wordpress',
+          ...credentials.loginArgs(db),
+          db.database,
         ], {
-          input: sqlStatements.join('\n'),
+          input: sqlContent,
         });
       }
 
+      // Record it in the ledger so wp_db_migrate_up does not import it twice
+      this.databaseManager.recordMigration(projectName, sqlFile, this.databaseManager.computeChecksum(sqlContent));
+
       return {
         content: [
           {
@@ -436,17 +444,19 @@ ${data}`;
     }
   }
 
-  async generateSeoPages(projectName, config) {
+  async generateSeoPages(projectName, pageConfig) {
     const projectPath = await this.getProjectPath(projectName);
     
     if (!await fs.pathExists(projectPath)) {
       throw new Error(`Project ${projectName} does not exist`);
     }
 
-    const { locations = [], categories = [] } = config;
+    const { locations = [], categories = [] } = pageConfig;
     const generatedPages = [];
 
     try {
+      const db = await credentials.get(projectName);
+
       // Generate location pages
       for (const location of locations) {
         for (const category of categories) {
@@ -477,12 +487,10 @@ ${data}`;
           await execa('docker', [
             'exec',
             '-i',
-            `wp-${projectName}-db`,
+            config.getContainerName(projectName, 'db'),
             'mysql',
-            '-u',
-            'wordpress',
-            '-pwordpress',
-            'wordpress',
+            ...credentials.loginArgs(db),
+            db.database,
           ], {
             input: sql,
           });
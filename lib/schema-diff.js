@@ -0,0 +1,237 @@
+/**
+ * Schema Diff
+ * Structural comparison of two mysqldump outputs. Parses CREATE TABLE
+ * statements and produces ALTER TABLE statements to move from the old
+ * schema to the new one (up) and back again (down).
+ */
+
+const INDEX_PATTERN = /^(PRIMARY KEY|UNIQUE KEY|KEY|FULLTEXT KEY|SPATIAL KEY|UNIQUE INDEX|INDEX)\s*(`([^`]+)`)?\s*\(/i;
+const CONSTRAINT_PATTERN = /^CONSTRAINT\s+`([^`]+)`\s+FOREIGN KEY/i;
+
+export class SchemaDiff {
+  /**
+   * Parse every CREATE TABLE statement in a dump
+   * Returns a Map of table name -> { columns, indexes, foreignKeys, options, createStatement }
+   */
+  parseDump(dump) {
+    const tables = new Map();
+    const createPattern = /CREATE TABLE `([^`]+)` \(\n([\s\S]*?)\n\)([^;]*);/g;
+
+    for (const match of dump.matchAll(createPattern)) {
+      const [, name, body, optionsText] = match;
+      const table = {
+        name,
+        columns: new Map(),
+        indexes: new Map(),
+        foreignKeys: new Map(),
+        options: this.parseTableOptions(optionsText),
+        createStatement: this.normalizeCreate(match[0]),
+      };
+
+      let previousColumn = null;
+      for (const rawLine of body.split('\n')) {
+        const line = rawLine.trim().replace(/,$/, '');
+        if (!line) continue;
+
+        if (line.startsWith('`')) {
+          const columnMatch = line.match(/^`([^`]+)`\s+(.*)$/);
+          table.columns.set(columnMatch[1], {
+            definition: columnMatch[2],
+            after: previousColumn,
+          });
+          previousColumn = columnMatch[1];
+          continue;
+        }
+
+        const constraintMatch = line.match(CONSTRAINT_PATTERN);
+        if (constraintMatch) {
+          table.foreignKeys.set(constraintMatch[1], line);
+          continue;
+        }
+
+        const indexMatch = line.match(INDEX_PATTERN);
+        if (indexMatch) {
+          const indexName = indexMatch[1].toUpperCase() === 'PRIMARY KEY' ? 'PRIMARY' : indexMatch[3];
+          table.indexes.set(indexName, line);
+        }
+      }
+
+      tables.set(name, table);
+    }
+
+    return tables;
+  }
+
+  parseTableOptions(optionsText) {
+    const option = (pattern) => optionsText.match(pattern)?.[1] || null;
+    return {
+      engine: option(/ENGINE=(\w+)/),
+      charset: option(/DEFAULT CHARSET=(\w+)/),
+      collate: option(/COLLATE=(\w+)/),
+    };
+  }
+
+  /**
+   * AUTO_INCREMENT counters differ between any two dumps, so they are
+   * stripped from generated CREATE statements
+   */
+  normalizeCreate(statement) {
+    return statement.replace(/\s+AUTO_INCREMENT=\d+/, '');
+  }
+
+  /**
+   * Compare two dumps and return { up, down, summary }
+   * `up` migrates oldDump's schema to newDump's; `down` reverses it
+   */
+  diff(oldDump, newDump) {
+    const oldTables = this.parseDump(oldDump);
+    const newTables = this.parseDump(newDump);
+    const up = [];
+    const down = [];
+    const summary = [];
+
+    for (const [name, table] of newTables) {
+      if (!oldTables.has(name)) {
+        up.push(table.createStatement);
+        down.unshift(`DROP TABLE IF EXISTS \`${name}\`;`);
+        summary.push(`New table: ${name}`);
+      }
+    }
+
+    for (const [name, table] of oldTables) {
+      if (!newTables.has(name)) {
+        up.push(`DROP TABLE IF EXISTS \`${name}\`;`);
+        down.unshift(table.createStatement);
+        summary.push(`Dropped table: ${name}`);
+      }
+    }
+
+    for (const [name, newTable] of newTables) {
+      const oldTable = oldTables.get(name);
+      if (!oldTable) continue;
+
+      const changes = this.diffTable(oldTable, newTable);
+      if (changes.up.length === 0) continue;
+
+      up.push(...changes.up.map(clause => `ALTER TABLE \`${name}\` ${clause};`));
+      down.unshift(...changes.down.map(clause => `ALTER TABLE \`${name}\` ${clause};`));
+      summary.push(...changes.summary.map(line => `${name}: ${line}`));
+    }
+
+    return { up, down, summary };
+  }
+
+  /**
+   * Diff a single table. Clauses are ordered so that foreign keys and
+   * indexes are dropped before the columns they reference, and re-added
+   * after; the down clauses are returned in reverse application order.
+   */
+  diffTable(oldTable, newTable) {
+    const steps = [];
+    const push = (upClause, downClause, description) => {
+      steps.push({ up: upClause, down: downClause, description });
+    };
+
+    // Drop foreign keys and indexes that were removed or changed
+    for (const [fkName, definition] of oldTable.foreignKeys) {
+      if (newTable.foreignKeys.get(fkName) !== definition) {
+        push(`DROP FOREIGN KEY \`${fkName}\``, `ADD ${definition}`,
+          newTable.foreignKeys.has(fkName) ? null : `dropped foreign key ${fkName}`);
+      }
+    }
+
+    for (const [indexName, definition] of oldTable.indexes) {
+      if (newTable.indexes.get(indexName) !== definition) {
+        push(this.dropIndexClause(indexName), `ADD ${definition}`,
+          newTable.indexes.has(indexName) ? null : `dropped index ${indexName}`);
+      }
+    }
+
+    // Columns
+    for (const [columnName, column] of newTable.columns) {
+      const oldColumn = oldTable.columns.get(columnName);
+      if (!oldColumn) {
+        push(
+          `ADD COLUMN \`${columnName}\` ${column.definition} ${this.positionClause(column.after)}`,
+          `DROP COLUMN \`${columnName}\``,
+          `added column ${columnName}`
+        );
+      } else if (oldColumn.definition !== column.definition) {
+        push(
+          `MODIFY COLUMN \`${columnName}\` ${column.definition}`,
+          `MODIFY COLUMN \`${columnName}\` ${oldColumn.definition}`,
+          `changed column ${columnName}: ${oldColumn.definition} -> ${column.definition}`
+        );
+      }
+    }
+
+    for (const [columnName, column] of oldTable.columns) {
+      if (!newTable.columns.has(columnName)) {
+        push(
+          `DROP COLUMN \`${columnName}\``,
+          `ADD COLUMN \`${columnName}\` ${column.definition} ${this.positionClause(column.after)}`,
+          `dropped column ${columnName}`
+        );
+      }
+    }
+
+    // Add indexes and foreign keys that are new or changed
+    for (const [indexName, definition] of newTable.indexes) {
+      const oldDefinition = oldTable.indexes.get(indexName);
+      if (oldDefinition !== definition) {
+        push(`ADD ${definition}`, this.dropIndexClause(indexName),
+          oldDefinition ? `changed index ${indexName}` : `added index ${indexName}`);
+      }
+    }
+
+    for (const [fkName, definition] of newTable.foreignKeys) {
+      const oldDefinition = oldTable.foreignKeys.get(fkName);
+      if (oldDefinition !== definition) {
+        push(`ADD ${definition}`, `DROP FOREIGN KEY \`${fkName}\``,
+          oldDefinition ? `changed foreign key ${fkName}` : `added foreign key ${fkName}`);
+      }
+    }
+
+    // Table options
+    const { options: oldOptions } = oldTable;
+    const { options: newOptions } = newTable;
+
+    if (oldOptions.engine && newOptions.engine && oldOptions.engine !== newOptions.engine) {
+      push(`ENGINE=${newOptions.engine}`, `ENGINE=${oldOptions.engine}`,
+        `engine ${oldOptions.engine} -> ${newOptions.engine}`);
+    }
+
+    if (oldOptions.charset && newOptions.charset &&
+        (oldOptions.charset !== newOptions.charset || oldOptions.collate !== newOptions.collate)) {
+      push(
+        this.charsetClause(newOptions),
+        this.charsetClause(oldOptions),
+        `charset ${oldOptions.charset}/${oldOptions.collate} -> ${newOptions.charset}/${newOptions.collate}`
+      );
+    }
+
+    return {
+      up: steps.map(step => step.up),
+      down: steps.map(step => step.down).reverse(),
+      summary: steps.map(step => step.description).filter(Boolean),
+    };
+  }
+
+  dropIndexClause(indexName) {
+    return indexName === 'PRIMARY' ? 'DROP PRIMARY KEY' : `DROP INDEX \`${indexName}\``;
+  }
+
+  positionClause(afterColumn) {
+    return afterColumn ? `AFTER \`${afterColumn}\`` : 'FIRST';
+  }
+
+  charsetClause(options) {
+    let clause = `DEFAULT CHARSET=${options.charset}`;
+    if (options.collate) {
+      clause += ` COLLATE=${options.collate}`;
+    }
+    return clause;
+  }
+}
+
+export default SchemaDiff;
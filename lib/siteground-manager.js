@@ -2,69 +2,16 @@ import simpleGit from 'simple-git';
 import path from 'path';
 import fs from 'fs-extra';
 import { execa } from 'execa';
-import Database from 'better-sqlite3';
-import { fileURLToPath } from 'url';
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
+import { pipeline } from 'stream/promises';
+import { config } from './config-manager.js';
+import { registry } from './registry-manager.js';
+import { DatabaseManager } from './database-manager.js';
 
 export class SiteGroundManager {
   constructor() {
-    this.projectsDir = '/Users/tyler-lcsw/projects/wp-projects';
-    this.dbPath = path.join(path.dirname(__dirname), 'projects.db');
-    this.initDatabase();
-  }
-
-  initDatabase() {
-    this.db = new Database(this.dbPath);
-    
-    // Add SiteGround-specific columns to projects table if they don't exist
-    try {
-      this.db.exec(`
-        ALTER TABLE projects ADD COLUMN IF NOT EXISTS siteground_ssh_host TEXT;
-      `);
-    } catch (e) {
-      // Column might already exist
-    }
-    
-    try {
-      this.db.exec(`
-        ALTER TABLE projects ADD COLUMN IF NOT EXISTS siteground_ssh_user TEXT;
-      `);
-    } catch (e) {
-      // Column might already exist
-    }
-    
-    try {
-      this.db.exec(`
-        ALTER TABLE projects ADD COLUMN IF NOT EXISTS siteground_repo_path TEXT;
-      `);
-    } catch (e) {
-      // Column might already exist
-    }
-    
-    try {
-      this.db.exec(`
-        ALTER TABLE projects ADD COLUMN IF NOT EXISTS siteground_site_url TEXT;
-      `);
-    } catch (e) {
-      // Column might already exist
-    }
-    
-    try {
-      this.db.exec(`
-        ALTER TABLE projects ADD COLUMN IF NOT EXISTS siteground_deployment_branch TEXT DEFAULT 'master';
-      `);
-    } catch (e) {
-      // Column might already exist
-    }
-    
-    try {
-      this.db.exec(`
-        ALTER TABLE projects ADD COLUMN IF NOT EXISTS siteground_staging_branch TEXT DEFAULT 'staging';
-      `);
-    } catch (e) {
-      // Column might already exist
-    }
+    this.projectsDir = config.getProjectsDir();
+    this.databaseManager = new DatabaseManager();
+    this.db = registry.db;
   }
 
   async connectProject(projectName, sshHost, sshUser, repoPath, siteUrl = null) {
@@ -249,40 +196,32 @@ composer.lock
         deploymentLog += `✅ Working directory clean\n`;
       }
 
-      // Step 2: Database dump (unless skipped)
+      // Step 2: Production export of the database (unless skipped). It is
+      // written to the git-ignored exports/ and never pushed, so a failed
+      // export stops the deploy rather than leaving no database to import.
+      let databaseExport = null;
       if (!skipDatabaseDump) {
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
         try {
-          const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-          const dumpFile = path.join(projectPath, 'migrations', `pre-deploy-${timestamp}.sql`);
-          
-          // Export database using Docker
-          await execa('docker', [
-            'exec',
-            `${projectName}-db`,
-            'mysqldump',
-            '-u', 'wordpress',
-            '-pwordpress',
-            'wordpress'
-          ], {
-            stdout: fs.createWriteStream(dumpFile),
+          // Production-ready export: live URLs, no transients, sessions or local-only options
+          databaseExport = await this.databaseManager.exportForProduction(projectName, {
+            name: `pre-deploy-${timestamp}`,
           });
-          
-          deploymentLog += `✅ Database dumped to migrations/pre-deploy-${timestamp}.sql\n`;
-          
-          // Commit the database dump
-          await git.add(dumpFile);
-          await git.commit(`Database dump before deployment - ${timestamp}`);
         } catch (dbError) {
-          deploymentLog += `⚠️ Database dump failed (continuing): ${dbError.message}\n`;
+          throw new Error(`Database export failed, nothing was pushed (pass skipDatabaseDump: true to deploy code only): ${dbError.message}`);
         }
+
+        deploymentLog += `✅ Database exported to exports/${databaseExport.file} ` +
+                         `(${databaseExport.urls.rows_rewritten} rows rewritten to ${databaseExport.urls.to})\n`;
       }
+      deploymentLog += `⚠️ The database is not deployed: only committed code is pushed\n`;
 
       // Step 3: Push to SiteGround using Docker to bypass FIPS restrictions
       deploymentLog += `\n📤 Pushing to SiteGround (branch: ${branch})...\n`;
+      const sshKeyPath = config.getSshKeyPath();
       
       try {
         // Use Docker container with Git to push
-        const sshKeyPath = '/home/thornlcsw/.ssh/siteground_simple';
         const dockerCommand = [
           'run', '--rm',
           '-v', `${projectPath}:/repo`,
@@ -364,9 +303,14 @@ composer.lock
         deploymentLog += `3. 🔗 Check site: ${project.siteground_site_url}\n`;
       }
       
-      deploymentLog += `4. 📝 If database changes were made:\n`;
-      deploymentLog += `   - SSH to SiteGround: ssh -p 18765 ${project.siteground_ssh_user}@${project.siteground_ssh_host}\n`;
-      deploymentLog += `   - Import database: wp db import migrations/[latest].sql\n`;
+      const sshTarget = `${project.siteground_ssh_user}@${project.siteground_ssh_host}`;
+      deploymentLog += `4. 📝 If database changes were made, import them yourself:\n`;
+      if (databaseExport) {
+        deploymentLog += `   - Upload: scp -P 18765 ${path.join(projectPath, 'exports', databaseExport.file)} ${sshTarget}:~/\n`;
+        deploymentLog += `   - Import: ssh -p 18765 ${sshTarget} 'cd ~/public_html && wp db import ~/${databaseExport.file}'\n`;
+      } else {
+        deploymentLog += `   - Create an export with wp_db_export_for_production, upload it and run wp db import on SiteGround\n`;
+      }
       deploymentLog += `5. 🔄 Monitor site for any issues\n`;
 
     } catch (error) {
@@ -453,7 +397,7 @@ composer.lock
 
     try {
       // Use Docker to bypass FIPS SSH restrictions
-      const sshKeyPath = '/home/thornlcsw/.ssh/siteground_simple';
+      const sshKeyPath = config.getSshKeyPath();
       const dockerCommand = [
         'run', '--rm',
         '-v', `${sshKeyPath}:/ssh/id_rsa:ro`,
@@ -484,6 +428,62 @@ composer.lock
     }
   }
 
+  /**
+   * Copy a live site's files into `projectPath` and its database into
+   * `dumpPath`, streamed over SSH from `remotePath` (relative to the
+   * SiteGround home directory). Caches are skipped.
+   */
+  async pullSite(options = {}) {
+    const { sshHost, sshUser, remotePath = 'public_html', projectPath, dumpPath } = options;
+
+    if (!/^[\w.~\/-]+$/.test(remotePath)) {
+      throw new Error(`Invalid remote path: ${remotePath}`);
+    }
+
+    await fs.ensureDir(projectPath);
+
+    const files = this.runRemote(sshHost, sshUser,
+      `tar -czf - -C ${remotePath} --exclude=./wp-content/cache --exclude=./wp-content/upgrade .`);
+    const extract = execa('tar', ['-xzf', '-', '-C', projectPath]);
+    try {
+      await Promise.all([pipeline(files.stdout, extract.stdin), files, extract]);
+    } catch (error) {
+      files.kill();
+      extract.kill();
+      throw error;
+    }
+
+    const dump = this.runRemote(sshHost, sshUser, `cd ${remotePath} && wp db export -`);
+    try {
+      await Promise.all([pipeline(dump.stdout, fs.createWriteStream(dumpPath)), dump]);
+    } catch (error) {
+      dump.kill();
+      await fs.remove(dumpPath);
+      throw error;
+    }
+  }
+
+  /**
+   * Run a command on a SiteGround host. Like clearCache, SSH runs in a
+   * throwaway container to bypass FIPS restrictions; stdout is streamed.
+   */
+  runRemote(sshHost, sshUser, command) {
+    const sshKeyPath = config.getSshKeyPath();
+    return execa('docker', [
+      'run', '--rm',
+      '-v', `${sshKeyPath}:/ssh/id_rsa:ro`,
+      'ubuntu:22.04',
+      'bash', '-c',
+      `apt-get update -qq >/dev/null && apt-get install -qq -y openssh-client >/dev/null 2>&1 && \
+       mkdir -p /root/.ssh && cp /ssh/id_rsa /root/.ssh/ && chmod 600 /root/.ssh/id_rsa && \
+       ssh -o StrictHostKeyChecking=no -p 18765 ${sshUser}@${sshHost} '${command}'`,
+    ], {
+      env: { ...process.env, DOCKER_CONTENT_TRUST: '0' },
+      // stdout is streamed; stderr is kept so failures say why
+      buffer: { stdout: false },
+    });
+  }
+
   async getDeploymentInfo(projectName) {
     const project = this.db.prepare(`
       SELECT * FROM projects WHERE name = ?
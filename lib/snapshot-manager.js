@@ -0,0 +1,291 @@
+/**
+ * Snapshot Manager
+ * Named, compressed database checkpoints stored in <project>/snapshots,
+ * separate from the numbered migration sequence.
+ */
+
+import { execa } from 'execa';
+import path from 'path';
+import fs from 'fs-extra';
+import { createGzip, createGunzip } from 'zlib';
+import { pipeline } from 'stream/promises';
+import { config } from './config-manager.js';
+import { registry } from './registry-manager.js';
+import { credentials } from './credentials-manager.js';
+import { WPCLIManager } from './wpcli-manager.js';
+import { formatBytes } from './sql-stream.js';
+
+export class SnapshotManager {
+  constructor() {
+    this.projectsDir = config.getProjectsDir();
+    this.db = registry.db;
+    this.wpcliManager = new WPCLIManager();
+  }
+
+  async getProjectPath(projectName) {
+    return path.join(this.projectsDir, projectName);
+  }
+
+  async getSnapshotsDir(projectName) {
+    const projectPath = await this.getProjectPath(projectName);
+
+    if (!await fs.pathExists(projectPath)) {
+      throw new Error(`Project ${projectName} does not exist`);
+    }
+
+    const snapshotsDir = path.join(projectPath, 'snapshots');
+    await fs.ensureDir(snapshotsDir);
+
+    // Snapshots are local checkpoints and never belong in the project repository
+    const gitignorePath = path.join(snapshotsDir, '.gitignore');
+    if (!await fs.pathExists(gitignorePath)) {
+      await fs.writeFile(gitignorePath, '*\n');
+    }
+
+    return snapshotsDir;
+  }
+
+  async createSnapshot(projectName, label = '') {
+    try {
+      const snapshot = await this.takeSnapshot(projectName, label);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Snapshot created: ${snapshot.id}\n` +
+                  this.formatSnapshot(snapshot),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new Error(`Failed to create snapshot: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stream a gzipped dump of the live database into snapshots/ and write
+   * its metadata next to it. Returns the metadata.
+   */
+  async takeSnapshot(projectName, label = '') {
+    const snapshotsDir = await this.getSnapshotsDir(projectName);
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const slug = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const id = slug ? `${timestamp}_${slug}` : timestamp;
+    const dumpPath = path.join(snapshotsDir, `${id}.sql.gz`);
+    const db = await credentials.get(projectName);
+
+    const subprocess = execa('docker', [
+      'exec',
+      config.getContainerName(projectName, 'db'),
+      'mysqldump',
+      ...credentials.loginArgs(db),
+      '--single-transaction',
+      db.database,
+    ], {
+      // stdout is streamed; stderr is kept so failures say why
+      buffer: { stdout: false },
+    });
+
+    try {
+      await Promise.all([
+        pipeline(subprocess.stdout, createGzip(), fs.createWriteStream(dumpPath)),
+        subprocess,
+      ]);
+    } catch (error) {
+      // A failed write leaves mysqldump blocked on a full pipe
+      subprocess.kill();
+      await fs.remove(dumpPath);
+      throw error;
+    }
+
+    const snapshot = {
+      id,
+      label,
+      project: projectName,
+      created_at: new Date().toISOString(),
+      file: `${id}.sql.gz`,
+      size: (await fs.stat(dumpPath)).size,
+      wordpress_version: await this.getWordPressVersion(projectName),
+      active_plugins: await this.getActivePlugins(projectName),
+      migrations: this.getAppliedMigrations(projectName),
+    };
+
+    await fs.writeJson(path.join(snapshotsDir, `${id}.json`), snapshot, { spaces: 2 });
+
+    return snapshot;
+  }
+
+  async listSnapshots(projectName) {
+    const snapshots = await this.getSnapshots(projectName);
+
+    if (snapshots.length === 0) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `No snapshots found for ${projectName}`,
+          },
+        ],
+      };
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Snapshots for ${projectName}:\n\n` +
+                snapshots.map(s => `• ${s.id}\n${this.formatSnapshot(s, '    ')}`).join('\n'),
+        },
+      ],
+    };
+  }
+
+  /**
+   * Replace the live database with a snapshot. The database is recreated
+   * rather than stopped, so it works while containers are running; a
+   * safety snapshot is taken first unless disabled.
+   */
+  async restoreSnapshot(projectName, snapshotId, options = {}) {
+    const { safetySnapshot = true } = options;
+    const snapshot = await this.getSnapshot(projectName, snapshotId);
+    const snapshotsDir = await this.getSnapshotsDir(projectName);
+    const dbContainer = config.getContainerName(projectName, 'db');
+    const db = await credentials.get(projectName);
+
+    let safety = null;
+
+    try {
+      if (safetySnapshot) {
+        safety = await this.takeSnapshot(projectName, 'pre-restore');
+      }
+
+      await execa('docker', [
+        'exec',
+        dbContainer,
+        'mysql',
+        ...credentials.loginArgs(db, { root: true }),
+        '-e',
+        `DROP DATABASE IF EXISTS \`${db.database}\`; CREATE DATABASE \`${db.database}\`;`,
+      ]);
+
+      const subprocess = execa('docker', [
+        'exec',
+        '-i',
+        dbContainer,
+        'mysql',
+        ...credentials.loginArgs(db),
+        db.database,
+      ]);
+
+      await Promise.all([
+        pipeline(fs.createReadStream(path.join(snapshotsDir, snapshot.file)), createGunzip(), subprocess.stdin),
+        subprocess,
+      ]);
+
+      // The migration ledger must describe the restored database, not the replaced one
+      if (snapshot.migrations) {
+        this.restoreAppliedMigrations(projectName, snapshot.migrations);
+      }
+
+      // Cached options and transients belong to the replaced database
+      await this.wpcliManager.flushCache(projectName);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Restored ${projectName} database from snapshot ${snapshot.id}\n` +
+                  this.formatSnapshot(snapshot) +
+                  (safety ? `\nSafety snapshot of the previous state: ${safety.id}` : ''),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new Error(`Failed to restore snapshot: ${error.message}` +
+        (safety ? `\nThe previous state was saved as snapshot ${safety.id}` : ''));
+    }
+  }
+
+  async deleteSnapshot(projectName, snapshotId) {
+    const snapshot = await this.getSnapshot(projectName, snapshotId);
+    const snapshotsDir = await this.getSnapshotsDir(projectName);
+
+    await fs.remove(path.join(snapshotsDir, snapshot.file));
+    await fs.remove(path.join(snapshotsDir, `${snapshot.id}.json`));
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Deleted snapshot ${snapshot.id} (${formatBytes(snapshot.size)} freed)`,
+        },
+      ],
+    };
+  }
+
+  async getSnapshots(projectName) {
+    const snapshotsDir = await this.getSnapshotsDir(projectName);
+    const files = await fs.readdir(snapshotsDir);
+
+    const snapshots = [];
+    for (const file of files.filter(f => f.endsWith('.json')).sort().reverse()) {
+      snapshots.push(await fs.readJson(path.join(snapshotsDir, file)));
+    }
+    return snapshots;
+  }
+
+  async getSnapshot(projectName, snapshotId) {
+    const snapshotsDir = await this.getSnapshotsDir(projectName);
+    const metadataPath = path.join(snapshotsDir, `${path.basename(snapshotId)}.json`);
+
+    if (!await fs.pathExists(metadataPath)) {
+      throw new Error(`Snapshot ${snapshotId} not found for project ${projectName}`);
+    }
+
+    return fs.readJson(metadataPath);
+  }
+
+  async getWordPressVersion(projectName) {
+    const result = await this.wpcliManager.executeWPCLI(projectName, 'core', ['version']);
+    return result.success ? result.output : null;
+  }
+
+  async getActivePlugins(projectName) {
+    const result = await this.wpcliManager.executeWPCLI(projectName, 'plugin', ['list', '--status=active', '--field=name']);
+    return result.success ? result.output.split('\n').filter(Boolean) : null;
+  }
+
+  getAppliedMigrations(projectName) {
+    const project = this.db.prepare('SELECT * FROM projects WHERE name = ?').get(projectName);
+    if (!project) {
+      return null;
+    }
+    return this.db.prepare('SELECT filename, checksum, message, applied_at FROM migrations WHERE project_id = ? ORDER BY id')
+      .all(project.id);
+  }
+
+  restoreAppliedMigrations(projectName, migrations) {
+    const project = this.db.prepare('SELECT * FROM projects WHERE name = ?').get(projectName);
+    if (!project) {
+      return;
+    }
+
+    // Snapshots taken before applied_at was stored fall back to now
+    const insert = this.db.prepare(`INSERT INTO migrations (project_id, filename, checksum, message, applied_at)
+      VALUES (?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))`);
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM migrations WHERE project_id = ?').run(project.id);
+      migrations.forEach(m => insert.run(project.id, m.filename, m.checksum, m.message ?? null, m.applied_at ?? null));
+    })();
+  }
+
+  formatSnapshot(snapshot, indent = '') {
+    const plugins = snapshot.active_plugins;
+    return `${indent}Label: ${snapshot.label || '(none)'}\n` +
+           `${indent}Created: ${snapshot.created_at}\n` +
+           `${indent}Size: ${formatBytes(snapshot.size)}\n` +
+           `${indent}WordPress: ${snapshot.wordpress_version || 'unknown'}\n` +
+           `${indent}Active plugins: ${plugins ? (plugins.join(', ') || 'none') : 'unknown'}\n`;
+  }
+}
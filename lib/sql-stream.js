@@ -0,0 +1,201 @@
+/**
+ * SQL Stream helpers
+ * Building blocks for moving dumps between files and the database
+ * container without holding them in memory: transparent gzip handling,
+ * incremental checksums and throttled byte-count progress.
+ */
+
+import fs from 'fs-extra';
+import crypto from 'crypto';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { createGunzip } from 'zlib';
+import { StringDecoder } from 'string_decoder';
+import readline from 'readline';
+
+const PROGRESS_INTERVAL_MS = 1000;
+
+// Statements that belong to a single table in mysqldump / WP-CLI output
+const TABLE_STATEMENT = /^(?:DROP TABLE(?: IF EXISTS)?|CREATE TABLE(?: IF NOT EXISTS)?|LOCK TABLES|INSERT INTO|REPLACE INTO|ALTER TABLE|\/\*!\d+ ALTER TABLE)\s+`([^`]+)`/;
+
+export function isGzipped(filePath) {
+  return filePath.endsWith('.gz');
+}
+
+/**
+ * Readable stream of the SQL text in `filePath`, decompressing .gz files
+ */
+export function createSqlReadStream(filePath) {
+  const source = fs.createReadStream(filePath);
+  if (!isGzipped(filePath)) {
+    return source;
+  }
+  const gunzip = createGunzip();
+  source.on('error', error => gunzip.destroy(error));
+  return source.pipe(gunzip);
+}
+
+/**
+ * First `length` characters of the SQL text in `filePath` (decompressed),
+ * enough to recognise a full dump without reading the whole file
+ */
+export async function readSqlHead(filePath, length = 256) {
+  let head = '';
+  const stream = createSqlReadStream(filePath);
+  for await (const chunk of stream) {
+    head += chunk.toString('utf-8');
+    if (head.length >= length) break;
+  }
+  stream.destroy();
+  return head.slice(0, length);
+}
+
+export async function readSqlFile(filePath) {
+  if (!isGzipped(filePath)) {
+    return fs.readFile(filePath, 'utf-8');
+  }
+  const chunks = [];
+  for await (const chunk of createSqlReadStream(filePath)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf-8');
+}
+
+/**
+ * Lines of the SQL text in `filePath` (decompressed), read incrementally
+ */
+export function readSqlLines(filePath) {
+  return readline.createInterface({
+    input: createSqlReadStream(filePath),
+    crlfDelay: Infinity,
+  });
+}
+
+/**
+ * md5 (or another `algorithm`) of a file's bytes, computed incrementally.
+ * For plain .sql files this equals the md5 of their text content.
+ */
+export async function computeFileChecksum(filePath, algorithm = 'md5') {
+  const hash = crypto.createHash(algorithm);
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+}
+
+/**
+ * Pass-through stream that hashes what flows through it; the digest is
+ * available from `digest()` once the stream has finished
+ */
+export function createHashTap() {
+  const hash = crypto.createHash('md5');
+  const tap = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      callback(null, chunk);
+    },
+  });
+  tap.digest = () => hash.digest('hex');
+  return tap;
+}
+
+/**
+ * Pass-through stream that counts bytes and reports them to `onProgress`
+ * at most once a second, plus once at the end. `total` (bytes) is
+ * optional. Calls `onMatch(text, overlap)` with each chunk when given;
+ * the first `overlap` characters repeat the end of the previous text, so
+ * matches spanning chunk boundaries are still seen.
+ */
+export function createProgressTap(onProgress, options = {}) {
+  const { label = 'Processed', total = null, onMatch = null } = options;
+  let bytes = 0;
+  let lastReport = 0;
+  let carry = '';
+
+  const report = (force = false) => {
+    const now = Date.now();
+    if (!onProgress || (!force && now - lastReport < PROGRESS_INTERVAL_MS)) return;
+    lastReport = now;
+    onProgress({
+      progress: bytes,
+      total: total ?? undefined,
+      message: `${label} ${formatBytes(bytes)}${total ? ` of ${formatBytes(total)}` : ''}`,
+    });
+  };
+
+  const tap = new Transform({
+    transform(chunk, encoding, callback) {
+      bytes += chunk.length;
+      if (onMatch) {
+        const text = carry + chunk.toString('utf-8');
+        onMatch(text, carry.length);
+        carry = text.slice(-1024);
+      }
+      report();
+      callback(null, chunk);
+    },
+    flush(callback) {
+      report(true);
+      callback();
+    },
+  });
+  tap.bytes = () => bytes;
+  return tap;
+}
+
+/**
+ * Line-based stream filter that drops every statement belonging to a
+ * table for which `keepTable(name)` is false. Multi-line statements
+ * (CREATE TABLE, multi-line INSERTs) are followed until their closing
+ * semicolon; everything not tied to a table is passed through.
+ */
+export function createTableFilter(keepTable) {
+  const decoder = new StringDecoder('utf8');
+  let buffered = '';
+  let openStatementKept = null;
+
+  const keepLine = (line) => {
+    if (openStatementKept !== null) {
+      const kept = openStatementKept;
+      if (line.trimEnd().endsWith(';')) openStatementKept = null;
+      return kept;
+    }
+
+    const match = line.match(TABLE_STATEMENT);
+    if (!match) {
+      return true;
+    }
+
+    const kept = keepTable(match[1]);
+    if (!line.trimEnd().endsWith(';')) openStatementKept = kept;
+    return kept;
+  };
+
+  const filterLines = (text) => text.split('\n').filter(keepLine).map(line => line + '\n').join('');
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      buffered += decoder.write(chunk);
+      const end = buffered.lastIndexOf('\n');
+      if (end === -1) {
+        callback();
+        return;
+      }
+      const complete = buffered.slice(0, end);
+      buffered = buffered.slice(end + 1);
+      callback(null, filterLines(complete));
+    },
+    flush(callback) {
+      buffered += decoder.end();
+      callback(null, buffered ? filterLines(buffered) : null);
+    },
+  });
+}
+
+export function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024 * 1024) {
+    return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+  }
+  if (bytes >= 1024 * 1024) {
+    return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+  }
+  return `${(bytes / 1024).toFixed(2)} KB`;
+}
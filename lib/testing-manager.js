@@ -2,12 +2,13 @@ import { exec } from 'child_process';
 import { promisify } from 'util';
 import path from 'path';
 import fs from 'fs/promises';
+import { config } from './config-manager.js';
 
 const execAsync = promisify(exec);
 
 export class TestingManager {
   constructor() {
-    this.projectsDir = '/Users/tyler-lcsw/projects/wp-projects';
+    this.projectsDir = config.getProjectsDir();
   }
 
   /**
@@ -321,6 +322,28 @@ validateSEO().then(results => {
     };
   }
 
+  /**
+   * Outcome of the most recent wp_test_comprehensive run, or null if there is none
+   */
+  async getLatestResult(project) {
+    const testResultsPath = path.join(this.projectsDir, project, 'test-results');
+    const files = await fs.readdir(testResultsPath).catch(() => []);
+    const latest = files.filter(f => f.startsWith('comprehensive-test-') && f.endsWith('.json')).sort().pop();
+
+    if (!latest) {
+      return null;
+    }
+
+    const data = JSON.parse(await fs.readFile(path.join(testResultsPath, latest), 'utf-8'));
+    return {
+      file: latest,
+      timestamp: data.timestamp,
+      success: data.success,
+      link_errors: data.tests?.links?.summary?.errors ?? null,
+      seo_issues: data.tests?.seo?.summary?.total_issues ?? null,
+    };
+  }
+
   /**
    * Generate test report
    */
@@ -2,10 +2,13 @@ import { execa } from 'execa';
 import path from 'path';
 import fs from 'fs-extra';
 import fetch from 'node-fetch';
+import { config } from './config-manager.js';
+import { PackageCacheManager } from './package-cache-manager.js';
 
 export class WordPressManager {
   constructor() {
-    this.projectsDir = '/Users/tyler-lcsw/projects/wp-projects';
+    this.projectsDir = config.getProjectsDir();
+    this.packageCache = new PackageCacheManager();
   }
 
   async getProjectPath(projectName) {
@@ -42,24 +45,16 @@ export class WordPressManager {
         themeName = path.basename(source);
         await fs.copy(source, path.join(themesDir, themeName));
       } else {
-        // Install from WordPress repository
+        // Install from WordPress repository, through the package cache
         themeName = source;
-        await execa('docker', [
-          'exec',
-          `wp-${projectName}-app`,
-          'wp',
-          'theme',
-          'install',
-          source,
-          '--allow-root',
-        ]);
+        await this.packageCache.installPackage(projectPath, 'theme', source);
       }
 
       // Activate theme if requested
       if (activate) {
         await execa('docker', [
           'exec',
-          `wp-${projectName}-app`,
+          config.getContainerName(projectName, 'app'),
           'wp',
           'theme',
           'activate',
@@ -111,24 +106,16 @@ export class WordPressManager {
         pluginName = path.basename(source);
         await fs.copy(source, path.join(pluginsDir, pluginName));
       } else {
-        // Install from WordPress repository
+        // Install from WordPress repository, through the package cache
         pluginName = source;
-        await execa('docker', [
-          'exec',
-          `wp-${projectName}-app`,
-          'wp',
-          'plugin',
-          'install',
-          source,
-          '--allow-root',
-        ]);
+        await this.packageCache.installPackage(projectPath, 'plugin', source);
       }
 
       // Activate plugin if requested
       if (activate) {
         await execa('docker', [
           'exec',
-          `wp-${projectName}-app`,
+          config.getContainerName(projectName, 'app'),
           'wp',
           'plugin',
           'activate',
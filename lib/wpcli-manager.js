@@ -6,10 +6,13 @@
 import { execSync, spawn } from 'child_process';
 import path from 'path';
 import fs from 'fs-extra';
+import { config } from './config-manager.js';
+import { PackageCacheManager } from './package-cache-manager.js';
 
 export class WPCLIManager {
   constructor() {
-    this.projectsDir = process.env.WP_PROJECTS_DIR || path.join(process.env.HOME, 'projects', 'wp-projects');
+    this.projectsDir = config.getProjectsDir();
+    this.packageCache = new PackageCacheManager();
   }
 
   /**
@@ -26,7 +29,7 @@ export class WPCLIManager {
       // Build the docker exec command
       const dockerCmd = [
         'exec',
-        `wp-${project}-app`,
+        config.getContainerName(project, 'app'),
         'wp',
         command,
         ...args,
@@ -51,6 +54,34 @@ export class WPCLIManager {
     }
   }
 
+  /**
+   * Installed WordPress version and available core, plugin and theme
+   * updates. Null fields mean WP-CLI could not answer.
+   */
+  async getUpdates(project) {
+    const parse = (result) => {
+      if (!result.success) return null;
+      try {
+        return JSON.parse(result.output || '[]');
+      } catch {
+        // "Success: WordPress is at the latest version."
+        return [];
+      }
+    };
+
+    const version = await this.executeWPCLI(project, 'core', ['version']);
+    const core = parse(await this.executeWPCLI(project, 'core', ['check-update', '--format=json']));
+    const plugins = parse(await this.executeWPCLI(project, 'plugin', ['list', '--update=available', '--fields=name,version,update_version', '--format=json']));
+    const themes = parse(await this.executeWPCLI(project, 'theme', ['list', '--update=available', '--fields=name,version,update_version', '--format=json']));
+
+    return {
+      wordpress_version: version.success ? version.output : null,
+      core: core && core.map(u => ({ version: u.version, update_type: u.update_type })),
+      plugins,
+      themes,
+    };
+  }
+
   /**
    * Post Management
    */
@@ -149,10 +180,7 @@ export class WPCLIManager {
    * Plugin Management
    */
   async installPlugin(project, plugin, activate = true) {
-    const args = ['install', plugin];
-    if (activate) args.push('--activate');
-    
-    return this.executeWPCLI(project, 'plugin', args);
+    return this.installPackage(project, 'plugin', plugin, activate);
   }
 
   async activatePlugin(project, plugin) {
@@ -182,10 +210,41 @@ export class WPCLIManager {
    * Theme Management
    */
   async installTheme(project, theme, activate = false) {
-    const args = ['install', theme];
-    if (activate) args.push('--activate');
-    
-    return this.executeWPCLI(project, 'theme', args);
+    return this.installPackage(project, 'theme', theme, activate);
+  }
+
+  /**
+   * Install a wordpress.org plugin or theme through the package cache;
+   * URLs and zip paths are still handed to WP-CLI directly
+   */
+  async installPackage(project, type, source, activate) {
+    if (!/^[a-z0-9][a-z0-9._-]*$/i.test(source)) {
+      const args = ['install', source];
+      if (activate) args.push('--activate');
+      return this.executeWPCLI(project, type, args);
+    }
+
+    const projectPath = path.join(this.projectsDir, project);
+    if (!fs.existsSync(projectPath)) {
+      throw new Error(`Project ${project} not found`);
+    }
+
+    try {
+      const entry = await this.packageCache.installPackage(projectPath, type, source);
+      const output = `Installed ${type} ${source} ${entry.version}${entry.cached ? ' from the package cache' : ''}`;
+      if (!activate) {
+        return { success: true, output };
+      }
+
+      const result = await this.executeWPCLI(project, type, ['activate', source]);
+      return result.success ? { success: true, output: `${output}\n${result.output}` } : result;
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        output: ''
+      };
+    }
   }
 
   async activateTheme(project, theme) {
@@ -289,10 +348,14 @@ export class WPCLIManager {
   async searchReplace(project, search, replace, options = {}) {
     const args = [search, replace];
     
-    if (options.tables) args.push(`--tables=${options.tables}`);
+    // WP-CLI takes the tables to search as positional arguments
+    if (options.tables) args.push(...[].concat(options.tables));
     if (options.dryRun) args.push('--dry-run');
     if (options.precise) args.push('--precise');
     if (options.allTablesWithPrefix) args.push('--all-tables-with-prefix');
+    if (options.skipColumns) args.push(`--skip-columns=${options.skipColumns}`);
+    if (options.export) args.push(`--export=${options.export}`);
+    if (options.format) args.push(`--format=${options.format}`);
     
     return this.executeWPCLI(project, 'search-replace', args);
   }
@@ -7,10 +7,11 @@ import fetch from 'node-fetch';
 import FormData from 'form-data';
 import fs from 'fs-extra';
 import path from 'path';
+import { config } from './config-manager.js';
 
 export class WPRestManager {
   constructor() {
-    this.projectsDir = process.env.WP_PROJECTS_DIR || path.join(process.env.HOME, 'projects', 'wp-projects');
+    this.projectsDir = config.getProjectsDir();
     this.credentials = new Map(); // Store credentials per project
   }
 